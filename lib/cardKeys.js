@@ -0,0 +1,156 @@
+// ==========================================
+// 🔑 卡密库存：后台批量导入，下单时预留，付款后自动发货
+// 卡密商品 (products.auto_delivery) 的库存 = 未使用卡密数量 (有规格时按规格分别统计)
+// 每条卡密只会绑定一个订单明细，状态只能 available → reserved → delivered，不会重复发货
+// ==========================================
+const productVariants = require('./productVariants');
+
+const STATUS = { AVAILABLE: 'available', RESERVED: 'reserved', DELIVERED: 'delivered', VOID: 'void' };
+const HEADERS = ['code', 'card', 'key', '卡密', '卡号'];
+
+// 解析文本 / CSV：每行一个卡密，CSV 取第一列，忽略空行、表头和重复
+const parseCodes = (text) => {
+    const codes = [];
+    const seen = new Set();
+    (text || '').toString().split(/\r?\n/).forEach((line, i) => {
+        let code = line.split(/[,\t]/)[0].trim().replace(/^"(.*)"$/, '$1').trim();
+        if (!code) return;
+        if (i === 0 && HEADERS.includes(code.toLowerCase())) return;
+        if (seen.has(code)) return;
+        seen.add(code);
+        codes.push(code);
+    });
+    return codes;
+};
+
+// 按未使用 / 已预留卡密数量刷新商品 (及规格) 的 stock / reserved，非卡密商品不处理
+const refreshStock = async (db, productId) => {
+    const p = await db.query('SELECT auto_delivery FROM products WHERE id = $1', [productId]);
+    if (p.rows.length === 0 || !p.rows[0].auto_delivery) return;
+    await db.query(
+        `UPDATE products SET
+            stock = (SELECT COUNT(*) FROM card_keys WHERE product_id = $1 AND variant_id IS NULL AND status = 'available'),
+            reserved = (SELECT COUNT(*) FROM card_keys WHERE product_id = $1 AND variant_id IS NULL AND status = 'reserved')
+         WHERE id = $1`,
+        [productId]
+    );
+    await db.query(
+        `UPDATE product_variants v SET
+            stock = (SELECT COUNT(*) FROM card_keys k WHERE k.variant_id = v.id AND k.status = 'available'),
+            reserved = (SELECT COUNT(*) FROM card_keys k WHERE k.variant_id = v.id AND k.status = 'reserved')
+         WHERE v.product_id = $1`,
+        [productId]
+    );
+    // 有规格时商品库存为各规格之和
+    await productVariants.syncProductSummary(db, productId);
+};
+
+// 导入卡密 (已存在的跳过)，返回 { inserted, duplicates }
+const importCodes = async (client, { productId, variantId, codes, batch }) => {
+    const p = await client.query('SELECT id, auto_delivery FROM products WHERE id = $1', [productId]);
+    if (p.rows.length === 0) throw new Error('商品不存在');
+    if (!p.rows[0].auto_delivery) throw new Error('该商品未开启卡密自动发货');
+    if (variantId) {
+        const v = await client.query('SELECT id FROM product_variants WHERE id = $1 AND product_id = $2', [variantId, productId]);
+        if (v.rows.length === 0) throw new Error('规格不属于该商品');
+    }
+    if (codes.length === 0) throw new Error('没有可导入的卡密');
+
+    const res = await client.query(
+        `INSERT INTO card_keys (product_id, variant_id, code, batch)
+         SELECT $1, $2, c, $4 FROM unnest($3::text[]) c
+         ON CONFLICT DO NOTHING RETURNING id`,
+        [productId, variantId || null, codes, batch || null]
+    );
+    await refreshStock(client, productId);
+    return { inserted: res.rowCount, duplicates: codes.length - res.rowCount };
+};
+
+// 取出 quantity 条未使用卡密并改为 status (并发下跳过已被其他事务锁定的行)
+const take = (client, { productId, variantId, quantity, orderId, orderItemId, status }) => client.query(
+    `UPDATE card_keys SET status = $1, order_id = $2, order_item_id = $3, reserved_at = NOW(),
+            delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() END
+     WHERE id IN (
+         SELECT id FROM card_keys
+         WHERE product_id = $4 AND variant_id IS NOT DISTINCT FROM $5 AND status = 'available'
+         ORDER BY id LIMIT $6 FOR UPDATE SKIP LOCKED
+     ) RETURNING id, code`,
+    [status, orderId, orderItemId, productId, variantId || null, quantity]
+);
+
+// 下单时为订单明细预留卡密 (必须在下单事务中调用)，数量不足时报错
+const reserve = async (client, { orderId, orderItemId, productId, variantId, quantity, name }) => {
+    const res = await take(client, { productId, variantId, quantity, orderId, orderItemId, status: STATUS.RESERVED });
+    if (res.rowCount < quantity) throw new Error(`商品 ${name || productId} 库存不足`);
+    await refreshStock(client, productId);
+};
+
+// 订单关闭/取消：释放预留的卡密 (已发货的卡密已交给用户，不再回收)
+const releaseOrder = async (client, orderId) => {
+    const res = await client.query(
+        `UPDATE card_keys SET status = 'available', order_id = NULL, order_item_id = NULL, reserved_at = NULL
+         WHERE order_id = $1 AND status = 'reserved' RETURNING product_id`,
+        [orderId]
+    );
+    for (const productId of new Set(res.rows.map(r => r.product_id.toString()))) {
+        await refreshStock(client, productId);
+    }
+    return res.rowCount;
+};
+
+// 付款后发货 (必须在收款事务中调用，订单行需已加锁)
+// 预留的卡密改为已发货；旧订单没有预留的，当场补取。
+// 返回 { items: [{ name, codes }], missing: [{ name, count }], complete: 整单都是卡密商品且已全部发货 }
+const deliverOrder = async (client, order) => {
+    const itemsRes = await client.query(
+        `SELECT oi.*, COALESCE(p.auto_delivery, FALSE) AS auto_delivery
+         FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id = $1 ORDER BY oi.id ASC`,
+        [order.order_id]
+    );
+    const result = { items: [], missing: [], complete: false };
+    const autoItems = itemsRes.rows.filter(i => i.auto_delivery);
+    if (autoItems.length === 0) return result;
+
+    for (const item of autoItems) {
+        await client.query(
+            "UPDATE card_keys SET status = 'delivered', delivered_at = NOW() WHERE order_item_id = $1 AND status = 'reserved'",
+            [item.id]
+        );
+        const delivered = await client.query("SELECT code FROM card_keys WHERE order_item_id = $1 AND status = 'delivered' ORDER BY id", [item.id]);
+        const codes = delivered.rows.map(r => r.code);
+        const short = item.quantity - codes.length;
+        if (short > 0) {
+            const extra = await take(client, {
+                productId: item.product_id, variantId: item.variant_id, quantity: short,
+                orderId: order.order_id, orderItemId: item.id, status: STATUS.DELIVERED
+            });
+            codes.push(...extra.rows.map(r => r.code));
+            await refreshStock(client, item.product_id);
+            if (extra.rowCount < short) result.missing.push({ name: item.product_name, count: short - extra.rowCount });
+        }
+        if (codes.length > 0) result.items.push({ name: item.product_name, codes });
+    }
+    result.complete = autoItems.length === itemsRes.rows.length && result.missing.length === 0;
+    return result;
+};
+
+// 发货内容文字 (写入订单和用户聊天)
+const formatDelivery = (items) => items.map(i => `${i.name}:\n${i.codes.join('\n')}`).join('\n\n');
+
+// 给订单明细附加已发货的卡密 codes
+const attachCodes = async (db, items) => {
+    if (items.length === 0) return items;
+    const res = await db.query(
+        "SELECT order_item_id, code FROM card_keys WHERE order_item_id = ANY($1) AND status = 'delivered' ORDER BY id",
+        [items.map(i => i.id)]
+    );
+    const map = {};
+    res.rows.forEach(r => {
+        if (!map[r.order_item_id]) map[r.order_item_id] = [];
+        map[r.order_item_id].push(r.code);
+    });
+    return items.map(i => (map[i.id] ? { ...i, codes: map[i.id] } : i));
+};
+
+module.exports = { STATUS, parseCodes, refreshStock, importCodes, reserve, releaseOrder, deliverOrder, formatDelivery, attachCodes };
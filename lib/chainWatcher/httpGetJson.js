@@ -0,0 +1,22 @@
+const https = require('https');
+
+// 简单的 GET JSON 请求 (兼容 Node 16，不依赖全局 fetch)
+const httpGetJson = (url, headers = {}, timeoutMs = 15000) => {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { headers: { Accept: 'application/json', ...headers } }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+                }
+                try { resolve(JSON.parse(data)); } catch (e) { reject(new Error('响应不是合法 JSON')); }
+            });
+        });
+        req.setTimeout(timeoutMs, () => req.destroy(new Error('请求超时')));
+        req.on('error', reject);
+    });
+};
+
+module.exports = { httpGetJson };
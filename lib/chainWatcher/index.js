@@ -0,0 +1,118 @@
+// ==========================================
+// ⛓️ 链上收款监听
+// 定时从 provider 拉取转入记录，按 收款地址 + 精确金额 匹配待支付订单
+// 每个待支付订单的金额带唯一尾数 (或使用独立收款地址)，所以同一地址上金额不会重复
+// ==========================================
+const { createProvider } = require('./providers');
+
+const LOOKBACK_MS = 10 * 60 * 1000; // 每次多回看10分钟，防止区块确认延迟漏单
+
+// onRejected(orderId, tx, result)：匹配到订单但 onMatched 未入账 (已处理 / 金额不符等)，用于人工核对
+const createChainWatcher = ({ pool, provider, getAddresses, onMatched, onUnmatched, onRejected, logger = console }) => {
+    const cursorKey = `chainWatcherCursor:${provider.name}`;
+    let running = false;
+    let timer = null;
+
+    const getCursor = async () => {
+        const res = await pool.query('SELECT value FROM settings WHERE key = $1', [cursorKey]);
+        return res.rows.length > 0 ? parseInt(res.rows[0].value) || 0 : Date.now() - LOOKBACK_MS;
+    };
+
+    const setCursor = async (ts) => {
+        await pool.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', [cursorKey, ts.toString()]);
+    };
+
+    // 查找与转账匹配的订单 (地址不区分大小写，金额必须完全一致)
+    const findOrder = async (tx) => {
+        const res = await pool.query(
+            `SELECT order_id FROM orders
+             WHERE status IN ('待支付', '待审核') AND LOWER(wallet) = LOWER($1) AND usdt_amount = $2::numeric
+             ORDER BY created_at ASC LIMIT 1`,
+            [tx.to, tx.amount]
+        );
+        return res.rows[0] ? res.rows[0].order_id : null;
+    };
+
+    const handleTransfer = async (tx) => {
+        // 同一笔交易只处理一次
+        const inserted = await pool.query(
+            `INSERT INTO chain_transfers (tx_hash, network, from_address, to_address, amount, block_time, status)
+             VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0), 'pending')
+             ON CONFLICT (tx_hash) DO NOTHING RETURNING tx_hash`,
+            [tx.txHash, provider.network, tx.from, tx.to, tx.amount, tx.timestamp]
+        );
+        if (inserted.rows.length === 0) return null;
+
+        try {
+            const orderId = await findOrder(tx);
+            if (!orderId) {
+                await pool.query("UPDATE chain_transfers SET status = 'unmatched' WHERE tx_hash = $1", [tx.txHash]);
+                if (onUnmatched) await onUnmatched(tx);
+                return null;
+            }
+
+            const result = await onMatched(orderId, tx);
+            const status = result && result.ok ? 'matched' : 'rejected';
+            await pool.query('UPDATE chain_transfers SET status = $1, order_id = $2, detail = $3, matched_at = NOW() WHERE tx_hash = $4',
+                [status, orderId, result && result.reason ? result.reason : null, tx.txHash]);
+            if (status === 'rejected' && onRejected) {
+                // 记录已落库，提醒失败不能再触发重试 (否则会重复提醒)
+                await Promise.resolve(onRejected(orderId, tx, result)).catch(e => logger.error(`链上转账提醒失败 ${tx.txHash}:`, e));
+            }
+            return status === 'matched' ? orderId : null;
+        } catch (e) {
+            // 处理失败时删掉记录，下一轮回看时重试
+            await pool.query('DELETE FROM chain_transfers WHERE tx_hash = $1', [tx.txHash]);
+            throw e;
+        }
+    };
+
+    // 执行一轮轮询，返回本轮匹配成功的订单号
+    // 处理失败的转账不会被跳过：游标最多推进到最早一笔失败的转账，下一轮从那里重新拉取
+    const poll = async () => {
+        if (running) return [];
+        running = true;
+        const matched = [];
+        try {
+            const cursor = await getCursor();
+            const since = Math.max(0, cursor - LOOKBACK_MS);
+            let latest = cursor;
+            let earliestFailed = null;
+
+            for (const address of await getAddresses()) {
+                const transfers = await provider.fetchTransfers({ address, since });
+                for (const tx of transfers) {
+                    latest = Math.max(latest, tx.timestamp);
+                    try {
+                        const orderId = await handleTransfer(tx);
+                        if (orderId) matched.push(orderId);
+                    } catch (e) {
+                        logger.error(`链上转账处理失败 ${tx.txHash}:`, e);
+                        earliestFailed = earliestFailed === null ? tx.timestamp : Math.min(earliestFailed, tx.timestamp);
+                    }
+                }
+            }
+
+            await setCursor(earliestFailed === null ? latest : Math.min(latest, earliestFailed));
+            return matched;
+        } finally {
+            running = false;
+        }
+    };
+
+    const start = (intervalMs) => {
+        if (timer) return;
+        timer = setInterval(() => {
+            poll().catch(e => logger.error('Chain Watcher Error', e));
+        }, intervalMs);
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return { poll, start, stop, provider };
+};
+
+module.exports = { createChainWatcher, createProvider };
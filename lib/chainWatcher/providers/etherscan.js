@@ -0,0 +1,41 @@
+const { httpGetJson } = require('../httpGetJson');
+const { fromBaseUnits } = require('../units');
+
+const USDT_ERC20_CONTRACT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+// ERC20 USDT 转入记录 (Etherscan 风格 API)
+const createEtherscanProvider = ({ apiKey, baseUrl = 'https://api.etherscan.io/api', contract = USDT_ERC20_CONTRACT } = {}) => ({
+    name: 'etherscan',
+    network: 'ERC20',
+
+    fetchTransfers: async ({ address, since }) => {
+        const params = new URLSearchParams({
+            module: 'account',
+            action: 'tokentx',
+            contractaddress: contract,
+            address,
+            page: '1',
+            offset: '200',
+            sort: 'desc'
+        });
+        if (apiKey) params.set('apikey', apiKey);
+        const body = await httpGetJson(`${baseUrl}?${params}`);
+        // status=0 且 message=No transactions found 表示没有记录，不算错误
+        if (body.status !== '1' && !/no transactions/i.test(body.message || '')) {
+            throw new Error(`Etherscan 返回失败: ${body.message}`);
+        }
+
+        return (Array.isArray(body.result) ? body.result : [])
+            .filter(tx => tx.to.toLowerCase() === address.toLowerCase())
+            .map(tx => ({
+                txHash: tx.hash,
+                from: tx.from,
+                to: address,
+                amount: fromBaseUnits(tx.value, parseInt(tx.tokenDecimal || 6)),
+                timestamp: parseInt(tx.timeStamp) * 1000
+            }))
+            .filter(tx => tx.timestamp >= (since || 0));
+    }
+});
+
+module.exports = { createEtherscanProvider };
@@ -0,0 +1,21 @@
+const { createTronGridProvider } = require('./trongrid');
+const { createEtherscanProvider } = require('./etherscan');
+const { createMockProvider } = require('./mock');
+
+// provider 接口：
+//   name, network
+//   fetchTransfers({ address, since }) => Promise<[{ txHash, from, to, amount, timestamp }]>
+//   amount 为十进制字符串，timestamp 为毫秒
+const providers = {
+    trongrid: createTronGridProvider,
+    etherscan: createEtherscanProvider,
+    mock: createMockProvider
+};
+
+const createProvider = (name, options) => {
+    const factory = providers[name];
+    if (!factory) throw new Error(`未知的链上监听 provider: ${name}`);
+    return factory(options);
+};
+
+module.exports = { createProvider, createTronGridProvider, createEtherscanProvider, createMockProvider };
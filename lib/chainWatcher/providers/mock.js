@@ -0,0 +1,27 @@
+const fs = require('fs');
+
+// 本地模拟 provider：用于开发和测试，不访问任何外部接口
+// 可以通过 addTransfer() 注入转账，或者指定 file 读取 JSON 数组
+const createMockProvider = ({ file, network = 'MOCK' } = {}) => {
+    const transfers = [];
+
+    const load = () => {
+        if (!file || !fs.existsSync(file)) return transfers;
+        return transfers.concat(JSON.parse(fs.readFileSync(file, 'utf8')));
+    };
+
+    return {
+        name: 'mock',
+        network,
+
+        addTransfer: (transfer) => {
+            transfers.push({ timestamp: Date.now(), from: 'mock', ...transfer });
+        },
+
+        fetchTransfers: async ({ address, since }) => {
+            return load().filter(tx => tx.to === address && tx.timestamp >= (since || 0));
+        }
+    };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,37 @@
+const { httpGetJson } = require('../httpGetJson');
+const { fromBaseUnits } = require('../units');
+
+const USDT_TRC20_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+
+// TRC20 USDT 转入记录 (TronGrid API)
+const createTronGridProvider = ({ apiKey, baseUrl = 'https://api.trongrid.io', contract = USDT_TRC20_CONTRACT } = {}) => ({
+    name: 'trongrid',
+    network: 'TRC20',
+
+    // 返回 since (毫秒) 之后转入 address 的记录
+    fetchTransfers: async ({ address, since }) => {
+        const params = new URLSearchParams({
+            only_to: 'true',
+            only_confirmed: 'true',
+            limit: '200',
+            order_by: 'block_timestamp,asc',
+            contract_address: contract,
+            min_timestamp: String(since || 0)
+        });
+        const headers = apiKey ? { 'TRON-PRO-API-KEY': apiKey } : {};
+        const body = await httpGetJson(`${baseUrl}/v1/accounts/${address}/transactions/trc20?${params}`, headers);
+        if (!body.success) throw new Error('TronGrid 返回失败');
+
+        return (body.data || [])
+            .filter(tx => tx.to === address)
+            .map(tx => ({
+                txHash: tx.transaction_id,
+                from: tx.from,
+                to: tx.to,
+                amount: fromBaseUnits(tx.value, parseInt(tx.token_info?.decimals ?? 6)),
+                timestamp: tx.block_timestamp
+            }));
+    }
+});
+
+module.exports = { createTronGridProvider };
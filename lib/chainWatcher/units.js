@@ -0,0 +1,8 @@
+// 把链上整数金额 (如 "10003700"，6位小数) 转成十进制字符串 "10.003700"，避免浮点误差
+const fromBaseUnits = (value, decimals) => {
+    const digits = value.toString().replace(/^0+/, '').padStart(decimals + 1, '0');
+    if (decimals === 0) return digits;
+    return `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+};
+
+module.exports = { fromBaseUnits };
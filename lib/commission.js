@@ -0,0 +1,138 @@
+// ==========================================
+// 🤝 邀请返利规则引擎
+// 规则存放在 commission_rules 表：每个层级 (1 = 直接邀请人) 按触发类型配置比例，
+// 商品分类有单独规则时优先使用；每个邀请人每月返利总额可设置上限 (settings.commissionMonthlyCap)
+// ==========================================
+
+const TRIGGERS = { purchase: '消费', recharge: '充值' };
+const MAX_LEVELS = 10; // 最多向上追溯的层级，防止规则配置错误或邀请关系成环
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const defaultSettings = () => [['commissionMonthlyCap', '0']];
+
+const getRules = async (db) => {
+    const res = await db.query('SELECT * FROM commission_rules ORDER BY trigger, level, category NULLS FIRST');
+    return res.rows;
+};
+
+const getMonthlyCap = async (db) => {
+    const res = await db.query("SELECT value FROM settings WHERE key = 'commissionMonthlyCap'");
+    const cap = res.rows.length > 0 ? parseFloat(res.rows[0].value) : 0;
+    return isNaN(cap) ? 0 : cap;
+};
+
+const setMonthlyCap = async (db, cap) => {
+    const n = parseFloat(cap);
+    if (isNaN(n) || n < 0) throw new Error('每月返利上限必须是非负数 (0 表示不限)');
+    await db.query("INSERT INTO settings (key, value) VALUES ('commissionMonthlyCap', $1) ON CONFLICT (key) DO UPDATE SET value = $1", [n.toString()]);
+    return n;
+};
+
+// 新增或修改规则 (同一 层级 + 类型 + 分类 只保留一条)
+const saveRule = async (db, { id, level, trigger, category, rate, isActive }) => {
+    level = parseInt(level);
+    rate = parseFloat(rate);
+    category = category ? category.toString().trim() : null;
+    if (isNaN(level) || level < 1 || level > MAX_LEVELS) throw new Error(`层级必须是 1-${MAX_LEVELS}`);
+    if (!TRIGGERS[trigger]) throw new Error('类型只能是 purchase (消费) 或 recharge (充值)');
+    if (isNaN(rate) || rate < 0 || rate > 100) throw new Error('比例必须在 0-100 之间');
+    const active = isActive === undefined ? true : !!isActive;
+
+    if (id) {
+        const res = await db.query(
+            'UPDATE commission_rules SET level = $1, trigger = $2, category = $3, rate = $4, is_active = $5, updated_at = NOW() WHERE id = $6 RETURNING *',
+            [level, trigger, category, rate, active, id]
+        );
+        if (res.rows.length === 0) throw new Error('规则不存在');
+        return res.rows[0];
+    }
+    const res = await db.query(
+        `INSERT INTO commission_rules (level, trigger, category, rate, is_active) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (level, trigger, COALESCE(category, '')) DO UPDATE SET rate = $4, is_active = $5, updated_at = NOW()
+         RETURNING *`,
+        [level, trigger, category, rate, active]
+    );
+    return res.rows[0];
+};
+
+const deleteRule = async (db, id) => {
+    const res = await db.query('DELETE FROM commission_rules WHERE id = $1 RETURNING *', [id]);
+    if (res.rows.length === 0) throw new Error('规则不存在');
+    return res.rows[0];
+};
+
+// 已启用规则中的最大层级 (团队页面按此展示下级层数)
+const getMaxLevel = async (db) => {
+    const res = await db.query('SELECT COALESCE(MAX(level), 1) AS max FROM commission_rules WHERE is_active');
+    return Math.min(MAX_LEVELS, parseInt(res.rows[0].max));
+};
+
+// 把订单金额按商品分类拆开 (按明细小计比例分摊)，用于匹配分类规则
+const splitByCategory = async (db, orderId, amount) => {
+    const res = await db.query(
+        `SELECT p.category, SUM(oi.unit_price * oi.quantity) AS subtotal
+         FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id = $1 GROUP BY p.category`,
+        [orderId]
+    );
+    const total = res.rows.reduce((sum, r) => sum + parseFloat(r.subtotal || 0), 0);
+    if (total <= 0) return [{ category: null, amount }];
+    return res.rows.map(r => ({ category: r.category || null, amount: amount * parseFloat(r.subtotal || 0) / total }));
+};
+
+// 记录一笔已发放的返利 (与加余额在同一事务中)
+const recordCommission = async (db, { inviterId, inviteeId, level, trigger, orderId, base, rate, commission, ledgerTxnId }) => {
+    await db.query(
+        `INSERT INTO referral_commissions (inviter_id, invitee_id, level, trigger, order_id, base_amount, rate, commission, ledger_txn_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [inviterId, inviteeId, level, trigger, orderId || null, base, rate, commission, ledgerTxnId || null]
+    );
+};
+
+// 计算一笔消费/充值给每一级邀请人的返利 (不含月度上限)
+// parts: [{ category, amount }]；返回 [{ inviterId, level, base, rate, commission }]
+const calculate = async (db, { userId, trigger, parts }) => {
+    const rulesRes = await db.query('SELECT level, category, rate FROM commission_rules WHERE is_active AND trigger = $1', [trigger]);
+    const rules = rulesRes.rows;
+    if (rules.length === 0) return [];
+    const maxLevel = Math.min(MAX_LEVELS, Math.max(...rules.map(r => r.level)));
+
+    const base = parts.reduce((sum, p) => sum + p.amount, 0);
+    const results = [];
+    const visited = new Set([userId.toString()]);
+    let current = userId;
+    for (let level = 1; level <= maxLevel; level++) {
+        const uRes = await db.query('SELECT invited_by FROM users WHERE id = $1', [current]);
+        const inviterId = uRes.rows[0] && uRes.rows[0].invited_by;
+        if (!inviterId || visited.has(inviterId.toString())) break;
+        visited.add(inviterId.toString());
+
+        let commission = 0;
+        for (const part of parts) {
+            const rule = rules.find(r => r.level === level && r.category && r.category === part.category)
+                || rules.find(r => r.level === level && !r.category);
+            if (rule) commission += part.amount * parseFloat(rule.rate) / 100;
+        }
+        commission = round4(commission);
+        if (commission > 0) {
+            results.push({ inviterId, level, base: round4(base), rate: base > 0 ? round4(commission / base * 100) : 0, commission });
+        }
+        current = inviterId;
+    }
+    return results;
+};
+
+// 本月已发放给邀请人的返利
+const monthlyPaid = async (db, inviterId) => {
+    const res = await db.query(
+        "SELECT COALESCE(SUM(commission), 0) AS total FROM referral_commissions WHERE inviter_id = $1 AND created_at >= date_trunc('month', NOW())",
+        [inviterId]
+    );
+    return parseFloat(res.rows[0].total);
+};
+
+module.exports = {
+    TRIGGERS, MAX_LEVELS, defaultSettings, getRules, getMonthlyCap, setMonthlyCap, saveRule, deleteRule,
+    getMaxLevel, splitByCategory, calculate, recordCommission, monthlyPaid
+};
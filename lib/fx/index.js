@@ -0,0 +1,148 @@
+// ==========================================
+// 💱 多币种汇率
+// 每个法币一行 (fx_rates)：rate = 1 USDT 兑换的法币数量，fee_rate 为加在法币金额上的手续费 (%)
+// 支付方式通过 methods 对应到币种，没有对应的使用默认币种 CNY
+// 每次变更写入 rate_history；开启 auto_update 的币种由 provider 定时更新汇率 (手续费不变)
+// ==========================================
+const { createFxProvider } = require('./providers');
+
+const DEFAULT_CURRENCY = 'CNY';
+const MAX_AUTO_CHANGE_PERCENT = 10; // provider 单次变动超过该比例时不自动更新，等人工确认
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const normalizeCurrency = (c) => (c || '').toString().trim().toUpperCase();
+
+const listRates = async (db, { activeOnly = false } = {}) => {
+    const res = await db.query(`SELECT * FROM fx_rates${activeOnly ? ' WHERE is_active' : ''} ORDER BY currency = $1 DESC, currency ASC`, [DEFAULT_CURRENCY]);
+    return res.rows;
+};
+
+// 支付方式对应的币种 (按 methods 或币种代码精确匹配，不区分大小写)
+const resolveCurrency = (rates, method) => {
+    const m = (method || '').toString().trim().toLowerCase();
+    const hit = m && rates.find(r => r.currency.toLowerCase() === m || (r.methods || []).some(x => x.toLowerCase() === m));
+    return hit || rates.find(r => r.currency === DEFAULT_CURRENCY) || rates[0] || null;
+};
+
+// 按支付方式把 USDT 金额换算成法币，返回订单快照 { currency, rate, feeRate, fiatAmount }
+const quote = async (db, { usdtAmount, method }) => {
+    const r = resolveCurrency(await listRates(db, { activeOnly: true }), method);
+    if (!r) throw new Error('未配置汇率');
+    const rate = parseFloat(r.rate);
+    const feeRate = parseFloat(r.fee_rate);
+    return { currency: r.currency, rate, feeRate, fiatAmount: round2(usdtAmount * rate * (1 + feeRate / 100)) };
+};
+
+// 新增或修改币种 (只改传入的字段)，汇率或手续费有变化时写入 rate_history
+// 默认币种同步写入旧的 settings.rate / feeRate (前端和统计仍在读取)
+// 返回 { before, after }
+const setRate = async (db, { currency, rate, feeRate, methods, isActive, autoUpdate, source = 'manual', actor }) => {
+    currency = normalizeCurrency(currency);
+    if (!/^[A-Z]{3,5}$/.test(currency)) throw new Error('币种代码格式错误 (如 CNY、USD)');
+    if (rate !== undefined && !(parseFloat(rate) > 0)) throw new Error('汇率必须大于0');
+    if (feeRate !== undefined && (isNaN(parseFloat(feeRate)) || parseFloat(feeRate) < 0)) throw new Error('手续费必须是非负数');
+
+    const beforeRes = await db.query('SELECT * FROM fx_rates WHERE currency = $1', [currency]);
+    const before = beforeRes.rows[0] || null;
+    if (!before && rate === undefined) throw new Error(`新币种 ${currency} 需要设置汇率`);
+    if (before && currency === DEFAULT_CURRENCY && isActive === false) throw new Error(`默认币种 ${DEFAULT_CURRENCY} 不能停用`);
+
+    const next = {
+        rate: rate !== undefined ? parseFloat(rate) : parseFloat(before.rate),
+        feeRate: feeRate !== undefined ? parseFloat(feeRate) : (before ? parseFloat(before.fee_rate) : 0),
+        methods: methods !== undefined
+            ? (Array.isArray(methods) ? methods : methods.toString().split(',')).map(m => m.toString().trim()).filter(Boolean)
+            : (before ? before.methods : []),
+        isActive: isActive !== undefined ? !!isActive : (before ? before.is_active : true),
+        autoUpdate: autoUpdate !== undefined ? !!autoUpdate : (before ? before.auto_update : false)
+    };
+
+    const res = await db.query(
+        `INSERT INTO fx_rates (currency, rate, fee_rate, methods, is_active, auto_update, source, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         ON CONFLICT (currency) DO UPDATE SET rate = $2, fee_rate = $3, methods = $4, is_active = $5, auto_update = $6,
+             source = $7, updated_by = $8, updated_at = NOW()
+         RETURNING *`,
+        [currency, next.rate, next.feeRate, next.methods, next.isActive, next.autoUpdate, source, actor || null]
+    );
+    const after = res.rows[0];
+
+    if (!before || parseFloat(before.rate) !== next.rate || parseFloat(before.fee_rate) !== next.feeRate) {
+        await db.query(
+            'INSERT INTO rate_history (currency, rate, fee_rate, source, actor) VALUES ($1, $2, $3, $4, $5)',
+            [currency, next.rate, next.feeRate, source, actor || null]
+        );
+    }
+    if (currency === DEFAULT_CURRENCY) {
+        for (const [k, v] of [['rate', next.rate], ['feeRate', next.feeRate]]) {
+            await db.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', [k, v.toString()]);
+        }
+    }
+    return { before, after };
+};
+
+// 汇率变更历史  filters: { currency, from, to (YYYY-MM-DD) }
+const history = async (db, { currency, from, to } = {}) => {
+    const params = [];
+    const where = [];
+    if (currency) { params.push(normalizeCurrency(currency)); where.push(`currency = $${params.length}`); }
+    if (from) { params.push(from); where.push(`created_at >= $${params.length}::date`); }
+    if (to) { params.push(to); where.push(`created_at < $${params.length}::date + 1`); }
+    const res = await db.query(
+        `SELECT * FROM rate_history ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC LIMIT 1000`,
+        params
+    );
+    return res.rows;
+};
+
+// 定时从 provider 更新开启 auto_update 的币种汇率
+// onChange(changed) 在有汇率变化后调用，skipped 为变动过大未更新的币种
+const createFxUpdater = ({ pool, provider, onChange, logger = console }) => {
+    let running = false;
+    let timer = null;
+
+    const poll = async () => {
+        if (running) return { changed: [], skipped: [] };
+        running = true;
+        try {
+            const fetched = await provider.fetchRates();
+            const res = await pool.query('SELECT currency, rate FROM fx_rates WHERE auto_update AND is_active');
+            const changed = [];
+            const skipped = [];
+            for (const row of res.rows) {
+                const value = parseFloat(fetched[row.currency]);
+                const current = parseFloat(row.rate);
+                if (!(value > 0) || Math.abs(value - current) < 0.000001) continue;
+                if (Math.abs(value - current) / current * 100 > MAX_AUTO_CHANGE_PERCENT) {
+                    skipped.push({ currency: row.currency, from: current, to: value });
+                    continue;
+                }
+                await setRate(pool, { currency: row.currency, rate: value, source: provider.name, actor: 'system' });
+                changed.push({ currency: row.currency, from: current, to: value });
+            }
+            if ((changed.length > 0 || skipped.length > 0) && onChange) await onChange({ changed, skipped });
+            return { changed, skipped };
+        } finally {
+            running = false;
+        }
+    };
+
+    const start = (intervalMs) => {
+        if (timer) return;
+        timer = setInterval(() => {
+            poll().catch(e => logger.error('FX Update Error', e));
+        }, intervalMs);
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return { poll, start, stop, provider };
+};
+
+module.exports = {
+    DEFAULT_CURRENCY, MAX_AUTO_CHANGE_PERCENT, listRates, resolveCurrency, quote, setRate, history,
+    createFxUpdater, createFxProvider
+};
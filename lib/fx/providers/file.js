@@ -0,0 +1,15 @@
+const fs = require('fs');
+
+// 本地文件 provider：读取 JSON 文件 { "CNY": 7.2, "USD": 1 } 或 { "rates": { ... } }
+// 适合由运维脚本/其他系统定时写入文件
+const createFileProvider = ({ file } = {}) => ({
+    name: 'file',
+
+    fetchRates: async () => {
+        if (!file) throw new Error('未配置汇率文件 FX_RATES_FILE');
+        const body = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return body.rates || body;
+    }
+});
+
+module.exports = { createFileProvider };
@@ -0,0 +1,16 @@
+const { httpGetJson } = require('../../chainWatcher/httpGetJson');
+
+// 通用 HTTP provider：GET url，响应为 { "rates": { "CNY": 7.2 } } 或直接 { "CNY": 7.2 }
+// 汇率需为 1 USDT (或 1 USD) 兑换的法币数量
+const createHttpProvider = ({ url, apiKey } = {}) => ({
+    name: 'http',
+
+    fetchRates: async () => {
+        if (!url) throw new Error('未配置汇率接口 FX_RATES_URL');
+        const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+        const body = await httpGetJson(url, headers);
+        return body.rates || body;
+    }
+});
+
+module.exports = { createHttpProvider };
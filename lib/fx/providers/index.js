@@ -0,0 +1,18 @@
+const { createFileProvider } = require('./file');
+const { createHttpProvider } = require('./http');
+
+// provider 接口：
+//   name
+//   fetchRates() => Promise<{ [币种]: 汇率 }>  (1 USDT 兑换的法币数量)
+const providers = {
+    file: createFileProvider,
+    http: createHttpProvider
+};
+
+const createFxProvider = (name, options) => {
+    const factory = providers[name];
+    if (!factory) throw new Error(`未知的汇率 provider: ${name}`);
+    return factory(options);
+};
+
+module.exports = { createFxProvider, createFileProvider, createHttpProvider };
@@ -0,0 +1,47 @@
+// ==========================================
+// 🔢 ID 生成：数据库序列 + 校验位，保证唯一且按生成时间排序
+// 订单号: 前缀 + 分隔符 + 日期(yyMMdd, UTC) + 定长序号 + 校验位，例如 XAW-26101900000429
+//         (不含下划线，TG 按钮的 callback_data 用 '_' 分隔参数)
+// 用户ID: 序号 * 10 + 校验位 (纯数字，BIGINT)
+// 校验位使用 Luhn 算法，可以发现手输时错一位或相邻两位颠倒
+// ==========================================
+
+// 计算数字串的 Luhn 校验位
+const luhnDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = parseInt(digits[digits.length - 1 - i]);
+        if (i % 2 === 0) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return ((10 - (sum % 10)) % 10).toString();
+};
+
+// 创建生成器。sequence 为数据库序列名；width 为序号最小位数 (不足补0，保证同一天内按字符串排序)
+const createIdGenerator = ({ sequence, prefix = '', separator = '-', width = 7, withDate = true }) => {
+    if (!/^[a-z_][a-z0-9_]*$/.test(sequence)) throw new Error(`非法的序列名: ${sequence}`);
+    if (/_/.test(prefix + separator)) throw new Error('ID 前缀不能包含下划线');
+
+    // 生成下一个 ID (db 可以是 pool 或事务中的 client；序列不受事务回滚影响，不会重复)
+    const next = async (db) => {
+        const res = await db.query(`SELECT nextval('${sequence}') AS seq`);
+        const seq = res.rows[0].seq.toString().padStart(width, '0');
+        const date = withDate ? new Date().toISOString().slice(2, 10).replace(/-/g, '') : '';
+        const body = date + seq;
+        return `${prefix}${prefix ? separator : ''}${body}${luhnDigit(body)}`;
+    };
+
+    return { next };
+};
+
+// 用户ID：序号 * 10 + 校验位
+const nextUserId = async (db) => {
+    const res = await db.query("SELECT nextval('user_id_seq') AS seq");
+    const seq = res.rows[0].seq.toString();
+    return seq + luhnDigit(seq);
+};
+
+module.exports = { luhnDigit, createIdGenerator, nextUserId };
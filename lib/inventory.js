@@ -0,0 +1,199 @@
+// ==========================================
+// 📦 库存：下单预留 (hold) → 付款出库 (commit) → 取消/超时释放 (release)
+// stock 为可售库存，reserved 为待支付订单占用的数量；有规格的商品按规格记账
+// 每次变动写一条 inventory_movements (原因 + 操作人 + 变动后库存)，用于追溯和库存报表
+// 卡密商品的库存由卡密数量决定 (见 cardKeys)，这里负责预留和记录流水
+// ==========================================
+const productVariants = require('./productVariants');
+const cardKeys = require('./cardKeys');
+
+const REASONS = {
+    opening: '期初库存',
+    hold: '下单预留',
+    commit: '付款出库',
+    release: '订单释放',
+    return: '取消退回',
+    adjust: '后台调整',
+    import: '导入卡密',
+    void: '作废卡密'
+};
+const INTERVALS = ['day', 'week', 'month'];
+
+// 写一条库存流水，变动后库存从商品/规格行读取
+const record = async (db, { productId, variantId, qtyChange = 0, reservedChange = 0, reason, orderId, actor, note }) => {
+    if (!REASONS[reason]) throw new Error(`未知的库存变动原因: ${reason}`);
+    const snap = variantId
+        ? await db.query('SELECT stock, reserved FROM product_variants WHERE id = $1', [variantId])
+        : await db.query('SELECT stock, reserved FROM products WHERE id = $1', [productId]);
+    const row = snap.rows[0] || { stock: null, reserved: null };
+    await db.query(
+        `INSERT INTO inventory_movements (product_id, variant_id, qty_change, reserved_change, stock_after, reserved_after, reason, order_id, actor, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [productId, variantId || null, qtyChange, reservedChange, row.stock, row.reserved, reason, orderId || null, actor || 'system', note || null]
+    );
+};
+
+// 调整明细对应的商品/规格库存，可售库存不足时返回 false
+const move = async (client, item, qtyChange, reservedChange) => {
+    const table = item.variant_id ? 'product_variants' : 'products';
+    const res = await client.query(
+        `UPDATE ${table} SET stock = stock + $1, reserved = GREATEST(0, reserved + $2) WHERE id = $3 AND stock + $1 >= 0 RETURNING id`,
+        [qtyChange, reservedChange, item.variant_id || item.product_id]
+    );
+    if (res.rowCount === 0) return false;
+    if (item.variant_id) await productVariants.syncProductSummary(client, item.product_id);
+    return true;
+};
+
+const loadItems = async (client, orderId) => {
+    const res = await client.query(
+        `SELECT oi.*, COALESCE(p.auto_delivery, FALSE) AS auto_delivery
+         FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id = $1 ORDER BY oi.id ASC`,
+        [orderId]
+    );
+    return res.rows;
+};
+
+const setItemStatus = (client, item, status) => client.query('UPDATE order_items SET stock_status = $1 WHERE id = $2', [status, item.id]);
+
+// 下单：为订单所有明细预留库存 (必须在下单事务中、写入明细之后调用)，库存不足时报错
+const holdOrder = async (client, orderId, actor) => {
+    for (const item of await loadItems(client, orderId)) {
+        if (item.auto_delivery) {
+            await cardKeys.reserve(client, {
+                orderId, orderItemId: item.id, productId: item.product_id, variantId: item.variant_id, quantity: item.quantity, name: item.product_name
+            });
+        } else if (!await move(client, item, -item.quantity, item.quantity)) {
+            throw new Error(`商品 ${item.product_name} 库存不足`);
+        }
+        await setItemStatus(client, item, 'held');
+        await record(client, {
+            productId: item.product_id, variantId: item.variant_id, qtyChange: -item.quantity, reservedChange: item.quantity,
+            reason: 'hold', orderId, actor
+        });
+    }
+};
+
+// 付款：预留转为出库 (卡密商品在发货时已由 reserved 改为 delivered，这里只刷新库存)
+const commitOrder = async (client, orderId, actor) => {
+    for (const item of await loadItems(client, orderId)) {
+        if (item.stock_status !== 'held') continue;
+        if (item.auto_delivery) await cardKeys.refreshStock(client, item.product_id);
+        else await move(client, item, 0, -item.quantity);
+        await setItemStatus(client, item, 'committed');
+        await record(client, {
+            productId: item.product_id, variantId: item.variant_id, reservedChange: -item.quantity, reason: 'commit', orderId, actor
+        });
+    }
+};
+
+// 关闭/取消：待支付的释放预留，已付款的退回可售库存；已发出的卡密不回收
+// 没有明细的旧订单按商品名退回 1 件
+const releaseOrder = async (client, order, { actor, note } = {}) => {
+    const items = await loadItems(client, order.order_id);
+    if (items.length === 0) {
+        if (order.product_name === '购物车商品') return;
+        const res = await client.query('UPDATE products SET stock = stock + 1 WHERE name = $1 RETURNING id', [order.product_name]);
+        for (const p of res.rows) {
+            await record(client, { productId: p.id, qtyChange: 1, reason: 'return', orderId: order.order_id, actor, note });
+        }
+        return;
+    }
+
+    await cardKeys.releaseOrder(client, order.order_id);
+    for (const item of items) {
+        if (item.stock_status === 'released') continue;
+        const held = item.stock_status === 'held';
+        if (item.auto_delivery) {
+            if (!held) continue;
+        } else if (!await move(client, item, item.quantity, held ? -item.quantity : 0)) {
+            continue; // 规格已删除
+        }
+        await setItemStatus(client, item, 'released');
+        await record(client, {
+            productId: item.product_id, variantId: item.variant_id, qtyChange: item.quantity, reservedChange: held ? -item.quantity : 0,
+            reason: held ? 'release' : 'return', orderId: order.order_id, actor, note
+        });
+    }
+};
+
+// 后台直接设置可售库存 (非卡密、无规格的商品)，有变化时记流水
+const setStock = async (client, { productId, stock, actor, note }) => {
+    const n = parseInt(stock);
+    if (isNaN(n) || n < 0) throw new Error('库存必须是非负整数');
+    const before = await client.query('SELECT stock FROM products WHERE id = $1 FOR UPDATE', [productId]);
+    if (before.rows.length === 0) throw new Error('商品不存在');
+    const delta = n - before.rows[0].stock;
+    if (delta === 0) return;
+    await client.query('UPDATE products SET stock = $1 WHERE id = $2', [n, productId]);
+    await record(client, { productId, qtyChange: delta, reason: 'adjust', actor, note });
+};
+
+// 流水列表  filters: { productId, variantId, reason, orderId }
+const listMovements = async (db, { productId, variantId, reason, orderId, page = 1, pageSize = 50 } = {}) => {
+    const params = [];
+    const where = [];
+    const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+    if (productId) add('m.product_id = ?', productId);
+    if (variantId) add('m.variant_id = ?', variantId);
+    if (reason) add('m.reason = ?', reason);
+    if (orderId) add('m.order_id = ?', orderId);
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const countRes = await db.query(`SELECT COUNT(*) FROM inventory_movements m ${whereSql}`, params);
+    const listRes = await db.query(
+        `SELECT m.*, p.name AS product_name, v.name AS variant_name, v.sku
+         FROM inventory_movements m
+         LEFT JOIN products p ON p.id = m.product_id
+         LEFT JOIN product_variants v ON v.id = m.variant_id
+         ${whereSql} ORDER BY m.id DESC LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+        params
+    );
+    return { list: listRes.rows.map(r => ({ ...r, reason_label: REASONS[r.reason] })), totalCount: parseInt(countRes.rows[0].count), page, pageSize };
+};
+
+// 库存报表：按 日/周/月 汇总每个商品 (规格) 的入库、出库、售出和期末库存
+// 没有流水的时间段不返回，期末库存沿用上一个时间段
+const report = async (db, { productId, from, to, interval = 'day' } = {}) => {
+    if (!INTERVALS.includes(interval)) throw new Error(`统计周期只能是 ${INTERVALS.join(' / ')}`);
+    const params = [interval];
+    const where = [];
+    if (productId) { params.push(productId); where.push(`m.product_id = $${params.length}`); }
+    if (from) { params.push(from); where.push(`m.created_at >= $${params.length}::date`); }
+    if (to) { params.push(to); where.push(`m.created_at < $${params.length}::date + 1`); }
+
+    const res = await db.query(`
+        SELECT date_trunc($1, m.created_at) AS period, m.product_id, m.variant_id,
+               MAX(p.name) AS product_name, MAX(v.name) AS variant_name, MAX(v.sku) AS sku,
+               COALESCE(SUM(m.qty_change) FILTER (WHERE m.qty_change > 0), 0) AS qty_in,
+               COALESCE(-SUM(m.qty_change) FILTER (WHERE m.qty_change < 0), 0) AS qty_out,
+               COALESCE(-SUM(m.reserved_change) FILTER (WHERE m.reason = 'commit'), 0) AS sold,
+               (ARRAY_AGG(m.stock_after ORDER BY m.id DESC))[1] AS closing_stock,
+               (ARRAY_AGG(m.reserved_after ORDER BY m.id DESC))[1] AS closing_reserved,
+               COUNT(*) AS movements
+        FROM inventory_movements m
+        LEFT JOIN products p ON p.id = m.product_id
+        LEFT JOIN product_variants v ON v.id = m.variant_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        GROUP BY 1, 2, 3
+        ORDER BY 1 ASC, 2 ASC, 3 ASC NULLS FIRST
+    `, params);
+    return res.rows.map(r => ({
+        ...r,
+        qty_in: parseInt(r.qty_in), qty_out: parseInt(r.qty_out), sold: parseInt(r.sold), movements: parseInt(r.movements)
+    }));
+};
+
+// 当前库存：每个商品 (有规格的列出规格) 的可售和预留数量
+const snapshot = async (db) => {
+    const res = await db.query(`
+        SELECT p.id AS product_id, p.name AS product_name, p.auto_delivery, v.id AS variant_id, v.name AS variant_name, v.sku,
+               COALESCE(v.stock, p.stock) AS stock, COALESCE(v.reserved, p.reserved) AS reserved
+        FROM products p LEFT JOIN product_variants v ON v.product_id = p.id
+        ORDER BY p.id DESC, v.sort_order ASC, v.id ASC
+    `);
+    return res.rows;
+};
+
+module.exports = { REASONS, INTERVALS, record, holdOrder, commitOrder, releaseOrder, setStock, listMovements, report, snapshot };
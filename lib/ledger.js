@@ -0,0 +1,96 @@
+// ==========================================
+// 📒 复式记账：所有用户余额变动都通过这里
+// 每次变动 = 一笔账务交易 (ledger_transactions) + 两条金额相反的分录 (ledger_entries)
+// 与 users.balance 的更新、balance_logs 的明细写在同一个事务里
+// ==========================================
+
+// 账户：user 为用户余额 (分录带 user_id)，其余为系统账户
+const ACCOUNTS = {
+    USER: 'user',
+    DEPOSITS: 'system:deposits',       // 外部充值入金
+    SALES: 'system:sales',             // 商品销售 (余额消费)
+    WITHDRAWALS: 'system:withdrawals', // 提现出金
+    REFERRAL: 'system:referral',       // 邀请返利支出
+    REFUNDS: 'system:refunds',         // 订单退款
+    ADJUSTMENTS: 'system:adjustments', // 客服后台调账
+    OPENING: 'system:opening'          // 启用账本前的期初余额
+};
+
+const toAmount = (n) => (Math.round(parseFloat(n) * 10000) / 10000).toFixed(4);
+
+// 变更用户余额 (必须在事务中调用)
+// amount 为正表示加钱，为负表示扣钱；counterAccount 为对方系统账户
+// 扣钱时在同一条 UPDATE 里校验余额，余额不足直接报错 (并发扣款也不会扣成负数)
+// 返回 { balance: 变动后余额, txnId }
+const postBalanceChange = async (client, { userId, amount, counterAccount, type, remark, ref }) => {
+    const value = toAmount(amount);
+    if (!counterAccount || counterAccount === ACCOUNTS.USER) throw new Error('缺少对方账户');
+
+    const upd = await client.query(
+        'UPDATE users SET balance = balance + $1 WHERE id = $2 AND ($1::numeric >= 0 OR balance + $1::numeric >= 0) RETURNING balance',
+        [value, userId]
+    );
+    if (upd.rows.length === 0) {
+        const exists = await client.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+        throw new Error(exists.rows.length === 0 ? `用户 ${userId} 不存在` : '余额不足');
+    }
+    const balance = upd.rows[0].balance;
+
+    const txn = await client.query(
+        'INSERT INTO ledger_transactions (type, ref, remark) VALUES ($1, $2, $3) RETURNING id',
+        [type, ref || null, remark || null]
+    );
+    const txnId = txn.rows[0].id;
+    await client.query(
+        `INSERT INTO ledger_entries (txn_id, account, user_id, amount) VALUES ($1, $2, $3, $4), ($1, $5, NULL, $6)`,
+        [txnId, ACCOUNTS.USER, userId, value, counterAccount, toAmount(-value)]
+    );
+
+    // 资金明细 (前端展示用，记录变动后余额快照)
+    await client.query(
+        'INSERT INTO balance_logs (user_id, type, amount, remark, balance_after) VALUES ($1, $2, $3, $4, $5)',
+        [userId, type, value, remark, balance]
+    );
+
+    return { balance, txnId };
+};
+
+// 为启用账本前就有余额、但没有任何分录的用户补记期初余额 (不改变 users.balance)
+const postOpeningBalances = async (client) => {
+    const res = await client.query(`
+        SELECT u.id, u.balance FROM users u
+        WHERE u.balance <> 0 AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.account = 'user' AND e.user_id = u.id)
+    `);
+    for (const u of res.rows) {
+        const txn = await client.query("INSERT INTO ledger_transactions (type, remark) VALUES ('期初余额', '启用账本时的余额') RETURNING id");
+        await client.query(
+            `INSERT INTO ledger_entries (txn_id, account, user_id, amount) VALUES ($1, $2, $3, $4), ($1, $5, NULL, $6)`,
+            [txn.rows[0].id, ACCOUNTS.USER, u.id, toAmount(u.balance), ACCOUNTS.OPENING, toAmount(-u.balance)]
+        );
+    }
+    return res.rows.length;
+};
+
+// 对账：users.balance 必须等于该用户所有分录之和，且每笔交易借贷平衡
+const reconcile = async (db) => {
+    const drift = await db.query(`
+        SELECT u.id AS user_id, u.contact, u.balance, COALESCE(l.total, 0) AS ledger_total, u.balance - COALESCE(l.total, 0) AS drift
+        FROM users u
+        LEFT JOIN (SELECT user_id, SUM(amount) AS total FROM ledger_entries WHERE account = 'user' GROUP BY user_id) l ON l.user_id = u.id
+        WHERE u.balance <> COALESCE(l.total, 0)
+        ORDER BY ABS(u.balance - COALESCE(l.total, 0)) DESC
+    `);
+    const unbalanced = await db.query(`
+        SELECT txn_id, SUM(amount) AS total FROM ledger_entries GROUP BY txn_id HAVING SUM(amount) <> 0 ORDER BY txn_id
+    `);
+    const checked = await db.query('SELECT COUNT(*) FROM users');
+
+    return {
+        ok: drift.rows.length === 0 && unbalanced.rows.length === 0,
+        checkedUsers: parseInt(checked.rows[0].count),
+        drift: drift.rows,
+        unbalancedTransactions: unbalanced.rows
+    };
+};
+
+module.exports = { ACCOUNTS, postBalanceChange, postOpeningBalances, reconcile };
@@ -0,0 +1,107 @@
+// ==========================================
+// 🧱 数据库迁移：migrations/NNN_名称.js，每个文件导出 { up, down }
+// 已执行的版本记录在 schema_migrations 表，每个迁移在独立事务中执行
+// 启动时自动执行未完成的迁移；回滚/查看状态用 npm run migrate
+// ==========================================
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_ID = 724100; // pg_advisory_lock 锁号，防止多个实例同时迁移
+
+const createMigrator = ({ pool, dir = MIGRATIONS_DIR, logger = console }) => {
+    // 读取迁移文件，按版本号排序
+    const load = () => fs.readdirSync(dir)
+        .filter(f => /^\d+_.+\.js$/.test(f))
+        .map(f => ({ version: f.split('_')[0], name: f.replace(/\.js$/, ''), file: path.join(dir, f) }))
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+    // 拿到迁移锁后执行 fn(client)
+    const withLock = async (fn) => {
+        const client = await pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+            client.release();
+        }
+    };
+
+    const getApplied = async (client) => {
+        const res = await client.query('SELECT version, name, applied_at FROM schema_migrations');
+        return new Map(res.rows.map(r => [r.version, r]));
+    };
+
+    const runStep = async (client, migration, direction) => {
+        const mod = require(migration.file);
+        if (typeof mod[direction] !== 'function') throw new Error(`迁移 ${migration.name} 没有 ${direction} 方法`);
+        await client.query('BEGIN');
+        try {
+            await mod[direction](client);
+            if (direction === 'up') {
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            } else {
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            }
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw new Error(`迁移 ${migration.name} (${direction}) 失败: ${e.message}`);
+        }
+    };
+
+    // 每个迁移的执行状态；missing 表示已执行但迁移文件已不存在
+    const status = () => withLock(async (client) => {
+        const applied = await getApplied(client);
+        const list = load().map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: applied.has(m.version),
+            appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+        }));
+        for (const [version, row] of applied) {
+            if (!list.find(m => m.version === version)) {
+                list.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+            }
+        }
+        return list.sort((a, b) => parseInt(a.version) - parseInt(b.version));
+    });
+
+    // 执行所有未完成的迁移 (to: 只执行到该版本为止)，返回本次执行的迁移名
+    const up = ({ to } = {}) => withLock(async (client) => {
+        const applied = await getApplied(client);
+        const pending = load().filter(m => !applied.has(m.version) && (to === undefined || parseInt(m.version) <= parseInt(to)));
+        for (const m of pending) {
+            logger.log(`⬆️ 执行迁移 ${m.name}`);
+            await runStep(client, m, 'up');
+        }
+        return pending.map(m => m.name);
+    });
+
+    // 回滚最近 steps 个迁移 (to: 回滚到该版本，保留该版本本身)，返回本次回滚的迁移名
+    const down = ({ steps = 1, to } = {}) => withLock(async (client) => {
+        const applied = await getApplied(client);
+        const all = load();
+        let targets = all.filter(m => applied.has(m.version)).reverse();
+        const orphan = [...applied.keys()].find(v => !all.find(m => m.version === v));
+        if (orphan) throw new Error(`版本 ${orphan} 已执行但迁移文件不存在，无法回滚`);
+        targets = to !== undefined ? targets.filter(m => parseInt(m.version) > parseInt(to)) : targets.slice(0, steps);
+        for (const m of targets) {
+            logger.log(`⬇️ 回滚迁移 ${m.name}`);
+            await runStep(client, m, 'down');
+        }
+        return targets.map(m => m.name);
+    });
+
+    return { status, up, down };
+};
+
+module.exports = { createMigrator };
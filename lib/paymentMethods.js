@@ -0,0 +1,188 @@
+// ==========================================
+// 💳 支付方式登记表
+// 类型：usdt (链上收款地址，金额唯一尾数自动对账) / qr_pool (固定收款码池，下单自动分配) / manual (客服手动发收款信息)
+// 金额上下限和手续费都按 USDT 计算：手续费 = 应付金额 × fee_rate% + fee_fixed，加在订单应付金额上
+// 收款码池：优先分配待支付订单最少、最久没分配过的码；顾客反馈异常的码标记为 reported，不再分配
+// ==========================================
+
+const TYPES = { usdt: 'USDT 收款地址', qr_pool: '收款码池', manual: '人工处理' };
+const QR_STATUS = { ACTIVE: 'active', REPORTED: 'reported', RETIRED: 'retired' };
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const toList = (v) => {
+    if (v === undefined || v === null || v === '') return [];
+    return (Array.isArray(v) ? v : v.toString().split(',')).map(x => x.toString().trim()).filter(Boolean);
+};
+const toNumberOrNull = (v, label) => {
+    if (v === undefined || v === null || v === '') return null;
+    const n = parseFloat(v);
+    if (isNaN(n) || n < 0) throw new Error(`${label}必须是非负数`);
+    return n;
+};
+
+// 支付方式列表，附带收款码池数量 (active_codes / reported_codes)
+const listMethods = async (db, { activeOnly = false } = {}) => {
+    const res = await db.query(`
+        SELECT m.*,
+               COUNT(q.id) FILTER (WHERE q.status = 'active') AS active_codes,
+               COUNT(q.id) FILTER (WHERE q.status = 'reported') AS reported_codes
+        FROM payment_methods m
+        LEFT JOIN payment_qr_codes q ON q.method_id = m.id
+        ${activeOnly ? 'WHERE m.is_active' : ''}
+        GROUP BY m.id
+        ORDER BY m.sort_order ASC, m.id ASC
+    `);
+    return res.rows.map(m => ({ ...m, active_codes: parseInt(m.active_codes), reported_codes: parseInt(m.reported_codes) }));
+};
+
+// 按代码或别名查找支付方式 (不区分大小写)，找不到返回 null
+const resolve = async (db, method) => {
+    const m = (method || '').toString().trim().toLowerCase();
+    if (!m) return null;
+    const res = await db.query(
+        `SELECT * FROM payment_methods
+         WHERE LOWER(code) = $1 OR EXISTS (SELECT 1 FROM unnest(aliases) a WHERE LOWER(a) = $1)
+         ORDER BY LOWER(code) = $1 DESC LIMIT 1`,
+        [m]
+    );
+    return res.rows[0] || null;
+};
+
+// 新增或修改支付方式
+const saveMethod = async (db, input) => {
+    const code = (input.code || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9_-]{2,32}$/.test(code)) throw new Error('支付方式代码只能是 2-32 位小写字母、数字、- 或 _');
+    if (!input.name || !input.name.toString().trim()) throw new Error('请填写支付方式名称');
+    if (!TYPES[input.type]) throw new Error(`类型只能是 ${Object.keys(TYPES).join(' / ')}`);
+    const minAmount = toNumberOrNull(input.minAmount, '最低金额');
+    const maxAmount = toNumberOrNull(input.maxAmount, '最高金额');
+    if (minAmount !== null && maxAmount !== null && maxAmount > 0 && maxAmount < minAmount) throw new Error('最高金额不能低于最低金额');
+    const feeRate = toNumberOrNull(input.feeRate, '手续费比例') || 0;
+    const feeFixed = toNumberOrNull(input.feeFixed, '固定手续费') || 0;
+    const values = [
+        code, input.name.toString().trim(), input.type, toList(input.aliases), input.isActive === undefined ? true : !!input.isActive,
+        minAmount, maxAmount, feeRate, feeFixed, input.instructions || null, parseInt(input.sortOrder) || 0
+    ];
+
+    if (input.id) {
+        const res = await db.query(
+            `UPDATE payment_methods SET code = $1, name = $2, type = $3, aliases = $4, is_active = $5, min_amount = $6, max_amount = $7,
+                    fee_rate = $8, fee_fixed = $9, instructions = $10, sort_order = $11, updated_at = NOW()
+             WHERE id = $12 RETURNING *`,
+            [...values, input.id]
+        );
+        if (res.rows.length === 0) throw new Error('支付方式不存在');
+        return res.rows[0];
+    }
+    const exists = await db.query('SELECT id FROM payment_methods WHERE code = $1', [code]);
+    if (exists.rows.length > 0) throw new Error(`支付方式 ${code} 已存在`);
+    const res = await db.query(
+        `INSERT INTO payment_methods (code, name, type, aliases, is_active, min_amount, max_amount, fee_rate, fee_fixed, instructions, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+        values
+    );
+    return res.rows[0];
+};
+
+// 删除支付方式：已有订单使用过的只停用，保留收款码池
+const deleteMethod = async (db, id) => {
+    const used = await db.query(
+        'SELECT 1 FROM orders o JOIN payment_methods m ON m.code = o.payment_method WHERE m.id = $1 LIMIT 1',
+        [id]
+    );
+    const res = used.rows.length > 0
+        ? await db.query('UPDATE payment_methods SET is_active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING *', [id])
+        : await db.query('DELETE FROM payment_methods WHERE id = $1 RETURNING *', [id]);
+    if (res.rows.length === 0) throw new Error('支付方式不存在');
+    return { method: res.rows[0], deleted: used.rows.length === 0 };
+};
+
+const calcFee = (method, amount) => round4(amount * parseFloat(method.fee_rate) / 100 + parseFloat(method.fee_fixed));
+
+// 校验支付方式并计算手续费 (amount 为需要通过该支付方式支付的 USDT 金额)
+// 返回 { method, fee, total }，不可用时报错
+const quote = async (db, { method, amount }) => {
+    const row = await resolve(db, method);
+    if (!row || !row.is_active) throw new Error('不支持该支付方式');
+    const min = row.min_amount !== null ? parseFloat(row.min_amount) : 0;
+    const max = row.max_amount !== null ? parseFloat(row.max_amount) : 0;
+    if (min > 0 && amount < min) throw new Error(`${row.name} 单笔最低 ${min} USDT`);
+    if (max > 0 && amount > max) throw new Error(`${row.name} 单笔最高 ${max} USDT`);
+    const fee = calcFee(row, amount);
+    return { method: row, fee, total: round4(amount + fee) };
+};
+
+const listQrCodes = async (db, methodId) => {
+    const res = await db.query(`
+        SELECT q.*, (SELECT COUNT(*) FROM orders o WHERE o.qr_code_id = q.id AND o.status IN ('待支付', '待审核')) AS pending_orders
+        FROM payment_qr_codes q WHERE q.method_id = $1
+        ORDER BY q.status = 'active' DESC, q.id DESC
+    `, [methodId]);
+    return res.rows.map(q => ({ ...q, pending_orders: parseInt(q.pending_orders) }));
+};
+
+// 往收款码池添加收款码 (urls 为已上传的图片地址)
+const addQrCodes = async (db, { methodId, urls, label, actor }) => {
+    const m = await db.query('SELECT type FROM payment_methods WHERE id = $1', [methodId]);
+    if (m.rows.length === 0) throw new Error('支付方式不存在');
+    if (m.rows[0].type !== 'qr_pool') throw new Error('只有收款码池类型的支付方式可以上传收款码');
+    const added = [];
+    for (const url of urls) {
+        const res = await db.query(
+            'INSERT INTO payment_qr_codes (method_id, image_url, label, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+            [methodId, url, label || null, actor || null]
+        );
+        added.push(res.rows[0]);
+    }
+    return added;
+};
+
+// 修改收款码状态 (核实后恢复 active，或 retired 永久停用)，返回 { before, after }
+const setQrStatus = async (db, id, status) => {
+    if (!Object.values(QR_STATUS).includes(status)) throw new Error(`状态只能是 ${Object.values(QR_STATUS).join(' / ')}`);
+    const beforeRes = await db.query('SELECT * FROM payment_qr_codes WHERE id = $1', [id]);
+    if (beforeRes.rows.length === 0) throw new Error('收款码不存在');
+    const res = await db.query('UPDATE payment_qr_codes SET status = $1 WHERE id = $2 RETURNING *', [status, id]);
+    return { before: beforeRes.rows[0], after: res.rows[0] };
+};
+
+// 从收款码池给订单分配一个收款码 (需在事务中调用)，并写入 orders.qrcode_url / qr_code_id
+// 池中没有可用的码时返回 null (由客服手动上传收款码)
+const assignQrCode = async (client, { orderId, methodId }) => {
+    // 串行化分配，让并发下单均匀分散到不同的码上
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('payment_qr_alloc'))");
+    const res = await client.query(`
+        SELECT q.* FROM payment_qr_codes q
+        WHERE q.method_id = $1 AND q.status = 'active'
+        ORDER BY (SELECT COUNT(*) FROM orders o WHERE o.qr_code_id = q.id AND o.status IN ('待支付', '待审核')) ASC,
+                 q.last_assigned_at ASC NULLS FIRST, q.id ASC
+        LIMIT 1
+    `, [methodId]);
+    const code = res.rows[0];
+    if (!code) return null;
+    await client.query('UPDATE payment_qr_codes SET assigned_count = assigned_count + 1, last_assigned_at = NOW() WHERE id = $1', [code.id]);
+    await client.query('UPDATE orders SET qrcode_url = $1, qr_code_id = $2 WHERE order_id = $3', [code.image_url, code.id, orderId]);
+    return code;
+};
+
+// 顾客反馈订单上的收款码异常：该码移出池子 (reported)，再给订单换一个
+// 返回 { reported: 被移出的码, next: 新分配的码或 null }
+const reportQrCode = async (client, order) => {
+    const res = await client.query(
+        `UPDATE payment_qr_codes SET status = CASE WHEN status = 'active' THEN 'reported' ELSE status END,
+                report_count = report_count + 1, last_reported_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [order.qr_code_id]
+    );
+    const reported = res.rows[0];
+    if (!reported) return { reported: null, next: null };
+    await client.query('UPDATE orders SET qrcode_url = NULL, qr_code_id = NULL WHERE order_id = $1', [order.order_id]);
+    const next = await assignQrCode(client, { orderId: order.order_id, methodId: reported.method_id });
+    return { reported, next };
+};
+
+module.exports = {
+    TYPES, QR_STATUS, listMethods, resolve, saveMethod, deleteMethod, calcFee, quote,
+    listQrCodes, addQrCodes, setQrStatus, assignQrCode, reportQrCode
+};
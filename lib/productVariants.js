@@ -0,0 +1,107 @@
+// ==========================================
+// 🏷️ 商品规格：同一商品的不同面值 / 地区，各自有 SKU、价格、库存
+// 商品有启用的规格时，下单必须指定 variantId；products.price / stock 同步为最低价 / 总库存
+// ==========================================
+
+// 解析后台提交的规格列表 (multipart 表单里是 JSON 字符串)
+const parseVariants = (input) => {
+    if (input === undefined || input === null || input === '') return undefined;
+    let list = input;
+    if (typeof input === 'string') {
+        try { list = JSON.parse(input); } catch (e) { throw new Error('规格数据格式错误'); }
+    }
+    if (!Array.isArray(list)) throw new Error('规格数据必须是数组');
+
+    const skus = new Set();
+    return list.map((v, i) => {
+        const sku = (v.sku || '').toString().trim();
+        const name = (v.name || '').toString().trim();
+        const price = parseFloat(v.price);
+        const stock = parseInt(v.stock);
+        if (!sku) throw new Error(`第 ${i + 1} 个规格缺少 SKU`);
+        if (skus.has(sku)) throw new Error(`SKU ${sku} 重复`);
+        skus.add(sku);
+        if (!name) throw new Error(`规格 ${sku} 缺少名称`);
+        if (isNaN(price) || price < 0) throw new Error(`规格 ${sku} 价格必须是非负数`);
+        if (isNaN(stock) || stock < 0) throw new Error(`规格 ${sku} 库存必须是非负整数`);
+        const attributes = v.attributes && typeof v.attributes === 'object' && !Array.isArray(v.attributes) ? v.attributes : {};
+        return {
+            id: v.id ? v.id.toString() : null,
+            sku, name, price, stock, attributes,
+            sortOrder: v.sortOrder !== undefined ? parseInt(v.sortOrder) || 0 : i,
+            isActive: v.isActive === undefined ? true : !!v.isActive
+        };
+    });
+};
+
+// 用启用中的规格刷新商品的展示价格和库存 (没有规格则保持不变)
+const syncProductSummary = async (db, productId) => {
+    await db.query(`
+        UPDATE products p SET price = s.min_price, stock = s.total_stock, reserved = s.total_reserved
+        FROM (SELECT MIN(price) AS min_price, SUM(stock) AS total_stock, SUM(reserved) AS total_reserved FROM product_variants WHERE product_id = $1 AND is_active) s
+        WHERE p.id = $1 AND s.min_price IS NOT NULL
+    `, [productId]);
+};
+
+// 保存商品的完整规格列表：带 id 的更新，不带 id 的新增，列表里没有的删除
+// 必须在事务中调用。返回库存有变化的规格 [{ variantId, from, to }]，由调用方记录库存流水
+const saveVariants = async (client, productId, variants) => {
+    const keepIds = variants.filter(v => v.id).map(v => v.id);
+    await client.query('DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::bigint[]))', [productId, keepIds]);
+    const stockChanges = [];
+    for (const v of variants) {
+        if (v.id) {
+            const old = await client.query('SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE', [v.id, productId]);
+            const upd = await client.query(
+                `UPDATE product_variants SET sku = $1, name = $2, price = $3, stock = $4, attributes = $5, sort_order = $6, is_active = $7
+                 WHERE id = $8 AND product_id = $9`,
+                [v.sku, v.name, v.price, v.stock, JSON.stringify(v.attributes), v.sortOrder, v.isActive, v.id, productId]
+            );
+            if (upd.rowCount === 0) throw new Error(`规格 ${v.id} 不属于该商品`);
+            if (old.rows[0].stock !== v.stock) stockChanges.push({ variantId: v.id, from: old.rows[0].stock, to: v.stock });
+        } else {
+            const ins = await client.query(
+                `INSERT INTO product_variants (product_id, sku, name, price, stock, attributes, sort_order, is_active)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+                [productId, v.sku, v.name, v.price, v.stock, JSON.stringify(v.attributes), v.sortOrder, v.isActive]
+            );
+            if (v.stock !== 0) stockChanges.push({ variantId: ins.rows[0].id, from: 0, to: v.stock });
+        }
+    }
+    await syncProductSummary(client, productId);
+    return stockChanges;
+};
+
+// 给商品列表附加 variants 数组 (activeOnly: 前台只返回启用的规格)
+const attachVariants = async (db, products, { activeOnly = false } = {}) => {
+    if (products.length === 0) return products;
+    const res = await db.query(
+        `SELECT * FROM product_variants WHERE product_id = ANY($1)${activeOnly ? ' AND is_active' : ''} ORDER BY sort_order ASC, id ASC`,
+        [products.map(p => p.id)]
+    );
+    const map = {};
+    res.rows.forEach(v => {
+        if (!map[v.product_id]) map[v.product_id] = [];
+        map[v.product_id].push(v);
+    });
+    return products.map(p => ({ ...p, variants: map[p.id] || [] }));
+};
+
+// 下单时锁定并校验商品规格，返回 { product, variant }
+// 商品有启用的规格时必须选择其中之一；没有规格的商品 variant 为 null
+const resolveForOrder = async (client, product, variantId) => {
+    const res = await client.query(
+        'SELECT * FROM product_variants WHERE product_id = $1 AND is_active ORDER BY sort_order ASC, id ASC FOR UPDATE',
+        [product.id]
+    );
+    if (res.rows.length === 0) {
+        if (variantId) throw new Error(`商品 ${product.name} 没有该规格`);
+        return { product, variant: null };
+    }
+    if (!variantId) throw new Error(`请选择商品 ${product.name} 的规格`);
+    const variant = res.rows.find(v => v.id.toString() === variantId.toString());
+    if (!variant) throw new Error(`商品 ${product.name} 的规格已下架`);
+    return { product, variant };
+};
+
+module.exports = { parseVariants, saveVariants, syncProductSummary, attachVariants, resolveForOrder };
@@ -0,0 +1,157 @@
+// ==========================================
+// 🎟️ 优惠券：下单时在订单事务中校验并锁定优惠券，折扣记录在订单上
+// 折扣只作用于适用范围内的商品 (categories / product_ids 为空表示全部商品)
+// 使用次数在下单时占用，订单关闭/取消时释放
+// ==========================================
+
+const TYPES = { percent: '百分比折扣', fixed: '固定金额' };
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+const normalizeCode = (code) => (code || '').toString().trim().toUpperCase();
+
+const toList = (v) => {
+    if (v === undefined || v === null || v === '') return [];
+    return (Array.isArray(v) ? v : v.toString().split(',')).map(x => x.toString().trim()).filter(Boolean);
+};
+const toNumberOrNull = (v, label) => {
+    if (v === undefined || v === null || v === '') return null;
+    const n = parseFloat(v);
+    if (isNaN(n) || n < 0) throw new Error(`${label}必须是非负数`);
+    return n;
+};
+const toDateOrNull = (v, label) => {
+    if (!v) return null;
+    const d = new Date(v);
+    if (isNaN(d.getTime())) throw new Error(`${label}格式错误`);
+    return d;
+};
+
+const listCoupons = async (db) => {
+    const res = await db.query('SELECT * FROM coupons ORDER BY id DESC');
+    return res.rows;
+};
+
+// 新增或修改优惠券
+const saveCoupon = async (db, input) => {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) throw new Error('券码只能是 3-32 位字母、数字、- 或 _');
+    if (!TYPES[input.discountType]) throw new Error('折扣类型只能是 percent (百分比) 或 fixed (固定金额)');
+    const value = toNumberOrNull(input.discountValue, '折扣值');
+    if (!(value > 0)) throw new Error('折扣值必须大于0');
+    if (input.discountType === 'percent' && value > 100) throw new Error('百分比折扣不能超过 100');
+    const maxDiscount = toNumberOrNull(input.maxDiscount, '最高优惠');
+    const minSpend = toNumberOrNull(input.minSpend, '最低消费') || 0;
+    const usageLimit = input.usageLimit === undefined || input.usageLimit === null || input.usageLimit === '' ? null : parseInt(input.usageLimit);
+    if (usageLimit !== null && !(usageLimit > 0)) throw new Error('总使用次数必须是正整数 (留空表示不限)');
+    const perUserLimit = input.perUserLimit === undefined || input.perUserLimit === '' ? 1 : parseInt(input.perUserLimit);
+    if (isNaN(perUserLimit) || perUserLimit < 0) throw new Error('每人使用次数必须是非负整数 (0 表示不限)');
+    const startsAt = toDateOrNull(input.startsAt, '开始时间');
+    const endsAt = toDateOrNull(input.endsAt, '结束时间');
+    if (startsAt && endsAt && endsAt <= startsAt) throw new Error('结束时间必须晚于开始时间');
+    const productIds = toList(input.productIds);
+    if (productIds.some(id => !/^\d+$/.test(id))) throw new Error('商品ID格式错误');
+    const values = [
+        code, input.name || null, input.discountType, value, maxDiscount, minSpend, usageLimit, perUserLimit,
+        toList(input.categories), productIds, startsAt, endsAt, input.isActive === undefined ? true : !!input.isActive
+    ];
+
+    if (input.id) {
+        const res = await db.query(
+            `UPDATE coupons SET code = $1, name = $2, discount_type = $3, discount_value = $4, max_discount = $5, min_spend = $6,
+                    usage_limit = $7, per_user_limit = $8, categories = $9, product_ids = $10, starts_at = $11, ends_at = $12,
+                    is_active = $13, updated_at = NOW()
+             WHERE id = $14 RETURNING *`,
+            [...values, input.id]
+        );
+        if (res.rows.length === 0) throw new Error('优惠券不存在');
+        return res.rows[0];
+    }
+    const exists = await db.query('SELECT id FROM coupons WHERE code = $1', [code]);
+    if (exists.rows.length > 0) throw new Error(`券码 ${code} 已存在`);
+    const res = await db.query(
+        `INSERT INTO coupons (code, name, discount_type, discount_value, max_discount, min_spend, usage_limit, per_user_limit,
+                              categories, product_ids, starts_at, ends_at, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+        values
+    );
+    return res.rows[0];
+};
+
+// 删除优惠券：用过的只停用，保留使用记录
+const deleteCoupon = async (db, id) => {
+    const used = await db.query('SELECT 1 FROM coupon_redemptions WHERE coupon_id = $1 LIMIT 1', [id]);
+    const res = used.rows.length > 0
+        ? await db.query('UPDATE coupons SET is_active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING *', [id])
+        : await db.query('DELETE FROM coupons WHERE id = $1 RETURNING *', [id]);
+    if (res.rows.length === 0) throw new Error('优惠券不存在');
+    return { coupon: res.rows[0], deleted: used.rows.length === 0 };
+};
+
+const listRedemptions = async (db, couponId) => {
+    const res = await db.query('SELECT * FROM coupon_redemptions WHERE coupon_id = $1 ORDER BY id DESC LIMIT 500', [couponId]);
+    return res.rows;
+};
+
+// 计算优惠券对订单明细的折扣 (不占用次数)
+// lines: [{ productId, category, price, quantity }]；forUpdate: 下单事务中锁定优惠券行，保证次数限制在并发下准确
+// 返回 { coupon, subtotal, eligibleSubtotal, discount, total }，不可用时报错
+const quote = async (db, { code, userId, lines, forUpdate = false }) => {
+    code = normalizeCode(code);
+    if (!code) throw new Error('请输入优惠码');
+    const res = await db.query(`SELECT * FROM coupons WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`, [code]);
+    const coupon = res.rows[0];
+    if (!coupon || !coupon.is_active) throw new Error('优惠码无效');
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) throw new Error('优惠活动尚未开始');
+    if (coupon.ends_at && new Date(coupon.ends_at) <= now) throw new Error('优惠码已过期');
+    if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) throw new Error('优惠码已被领完');
+    if (coupon.per_user_limit > 0) {
+        const usedRes = await db.query(
+            "SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2 AND status = 'applied'",
+            [coupon.id, userId]
+        );
+        if (parseInt(usedRes.rows[0].count) >= coupon.per_user_limit) throw new Error('您已使用过该优惠码');
+    }
+
+    const productIds = (coupon.product_ids || []).map(String);
+    const categories = coupon.categories || [];
+    const inScope = (l) => (productIds.length === 0 && categories.length === 0)
+        || productIds.includes(l.productId.toString())
+        || (l.category && categories.includes(l.category));
+    const subtotal = round4(lines.reduce((sum, l) => sum + parseFloat(l.price) * l.quantity, 0));
+    const eligibleSubtotal = round4(lines.filter(inScope).reduce((sum, l) => sum + parseFloat(l.price) * l.quantity, 0));
+    if (eligibleSubtotal <= 0) throw new Error('购买的商品不适用该优惠码');
+    if (eligibleSubtotal < parseFloat(coupon.min_spend)) throw new Error(`适用商品满 ${parseFloat(coupon.min_spend)} USDT 才能使用该优惠码`);
+
+    let discount = coupon.discount_type === 'percent'
+        ? eligibleSubtotal * parseFloat(coupon.discount_value) / 100
+        : parseFloat(coupon.discount_value);
+    if (coupon.max_discount !== null) discount = Math.min(discount, parseFloat(coupon.max_discount));
+    discount = round4(Math.min(discount, eligibleSubtotal));
+
+    return { coupon, subtotal, eligibleSubtotal, discount, total: round4(subtotal - discount) };
+};
+
+// 占用一次优惠券 (下单事务中，quote 锁定优惠券之后调用)
+const redeem = async (client, { coupon, orderId, userId, discount }) => {
+    await client.query(
+        'INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount) VALUES ($1, $2, $3, $4)',
+        [coupon.id, orderId, userId, discount]
+    );
+    await client.query('UPDATE coupons SET used_count = used_count + 1 WHERE id = $1', [coupon.id]);
+};
+
+// 订单关闭/取消：释放优惠券次数
+const releaseOrder = async (client, orderId) => {
+    const res = await client.query(
+        "UPDATE coupon_redemptions SET status = 'released', released_at = NOW() WHERE order_id = $1 AND status = 'applied' RETURNING coupon_id",
+        [orderId]
+    );
+    for (const r of res.rows) {
+        await client.query('UPDATE coupons SET used_count = GREATEST(0, used_count - 1) WHERE id = $1', [r.coupon_id]);
+    }
+    return res.rowCount > 0;
+};
+
+module.exports = { TYPES, normalizeCode, listCoupons, saveCoupon, deleteCoupon, listRedemptions, quote, redeem, releaseOrder };
@@ -0,0 +1,98 @@
+// ==========================================
+// 🔔 到货提醒：缺货时登记，补货后通过聊天会话通知并标记为已通知
+// 同一商品 (规格) 对同一用户/联系方式只保留一条待通知订阅，每人待通知的订阅数有上限
+// ==========================================
+
+const MAX_PENDING_PER_SUBSCRIBER = 20;
+
+// 登记订阅，返回 { subscription, created }；已登记过的返回原订阅，created 为 false
+const subscribe = async (db, { productId, variantId, userId, contact, sessionId }) => {
+    contact = contact ? contact.toString().trim().slice(0, 100) : null;
+    if (!userId && !contact) throw new Error('请填写联系方式');
+    // 游客不能使用登录用户的会话号 (user_<id>)，否则通知会发到别人的聊天里
+    if (!userId && sessionId && sessionId.toString().startsWith('user_')) throw new Error('登录已过期，请重新登录');
+
+    const prodRes = await db.query('SELECT id, name, stock FROM products WHERE id = $1', [productId]);
+    const product = prodRes.rows[0];
+    if (!product) throw new Error('商品不存在');
+    let stock = product.stock;
+    if (variantId) {
+        const v = await db.query('SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2 AND is_active', [variantId, productId]);
+        if (v.rows.length === 0) throw new Error('商品规格不存在');
+        stock = v.rows[0].stock;
+    }
+    if (stock > 0) throw new Error('商品有货，可以直接购买');
+
+    const who = userId ? ['user_id = $1', userId] : ['lower(contact) = lower($1)', contact];
+    const existing = await db.query(
+        `SELECT * FROM restock_subscriptions WHERE ${who[0]} AND product_id = $2 AND COALESCE(variant_id, 0) = $3 AND status = 'pending'`,
+        [who[1], productId, variantId || 0]
+    );
+    if (existing.rows.length > 0) return { subscription: existing.rows[0], product, created: false };
+
+    const countRes = await db.query(`SELECT COUNT(*) FROM restock_subscriptions WHERE ${who[0]} AND status = 'pending'`, [who[1]]);
+    if (parseInt(countRes.rows[0].count) >= MAX_PENDING_PER_SUBSCRIBER) {
+        throw new Error(`最多同时登记 ${MAX_PENDING_PER_SUBSCRIBER} 个到货提醒`);
+    }
+
+    // 并发重复提交由唯一索引兜底
+    const res = await db.query(
+        `INSERT INTO restock_subscriptions (product_id, variant_id, user_id, contact, session_id)
+         VALUES ($1, $2, $3, $4, $5) ON CONFLICT DO NOTHING RETURNING *`,
+        [productId, variantId || null, userId || null, contact, userId ? `user_${userId}` : (sessionId || null)]
+    );
+    return { subscription: res.rows[0] || null, product, created: res.rows.length > 0 };
+};
+
+// 商品 (规格) 已有库存的待通知订阅：标记已通知 (必须在事务中调用)
+// 返回 [{ subscription, productName }]，由调用方写聊天记录并推送
+const takeDue = async (client, productId) => {
+    const res = await client.query(`
+        SELECT s.*, p.name AS product_name, v.name AS variant_name
+        FROM restock_subscriptions s
+        JOIN products p ON p.id = s.product_id
+        LEFT JOIN product_variants v ON v.id = s.variant_id
+        WHERE s.product_id = $1 AND s.status = 'pending'
+          AND (CASE WHEN s.variant_id IS NULL THEN p.stock > 0 ELSE v.is_active AND v.stock > 0 END)
+        ORDER BY s.id ASC
+        FOR UPDATE OF s SKIP LOCKED
+    `, [productId]);
+    if (res.rows.length === 0) return [];
+    await client.query("UPDATE restock_subscriptions SET status = 'notified', notified_at = NOW() WHERE id = ANY($1)", [res.rows.map(r => r.id)]);
+    return res.rows.map(r => ({
+        subscription: r,
+        productName: r.variant_name ? `${r.product_name} (${r.variant_name})` : r.product_name
+    }));
+};
+
+// 各商品 (规格) 的到货提醒需求，待通知多的排前面
+const demand = async (db) => {
+    const res = await db.query(`
+        SELECT s.product_id, s.variant_id, p.name AS product_name, v.name AS variant_name, v.sku,
+               COALESCE(v.stock, p.stock) AS stock,
+               COUNT(*) FILTER (WHERE s.status = 'pending') AS pending,
+               COUNT(*) FILTER (WHERE s.status = 'notified') AS notified,
+               MIN(s.created_at) FILTER (WHERE s.status = 'pending') AS oldest_pending,
+               MAX(s.notified_at) AS last_notified_at
+        FROM restock_subscriptions s
+        JOIN products p ON p.id = s.product_id
+        LEFT JOIN product_variants v ON v.id = s.variant_id
+        GROUP BY s.product_id, s.variant_id, p.name, v.name, v.sku, v.stock, p.stock
+        ORDER BY COUNT(*) FILTER (WHERE s.status = 'pending') DESC, s.product_id DESC
+    `);
+    return res.rows.map(r => ({ ...r, pending: parseInt(r.pending), notified: parseInt(r.notified) }));
+};
+
+// 某商品的订阅明细
+const listSubscriptions = async (db, { productId, status }) => {
+    const params = [productId];
+    let sql = 'SELECT * FROM restock_subscriptions WHERE product_id = $1';
+    if (status) {
+        params.push(status);
+        sql += ` AND status = $${params.length}`;
+    }
+    const res = await db.query(sql + ' ORDER BY id DESC LIMIT 500', params);
+    return res.rows;
+};
+
+module.exports = { MAX_PENDING_PER_SUBSCRIBER, subscribe, takeDue, demand, listSubscriptions };
@@ -0,0 +1,170 @@
+// ==========================================
+// 🗄️ 数据保留策略：按表配置保留天数，过期数据归档而不是直接删除
+// 归档方式 (settings.retentionMode):
+//   archive - 写入 archived_rows 表 (JSONB 原样保存整行)
+//   export  - 导出为 gzip 压缩的 JSONL 文件，然后从业务表删除
+// 保留天数为 0 表示永久保留
+// ==========================================
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const BATCH_SIZE = 500;
+
+// 可清理的表。where 用于排除还在流程中的数据，children 随主表一起归档
+const RETENTION_TABLES = {
+    orders: {
+        label: '订单',
+        key: 'order_id',
+        defaultDays: 365,
+        where: `t.status IN ('已发货', '已关闭', '已取消')
+                AND NOT EXISTS (SELECT 1 FROM refunds r WHERE r.order_id = t.order_id AND r.status = '待审批')`,
+        children: [
+            { table: 'order_items', fk: 'order_id' },
+            { table: 'order_events', fk: 'order_id' }
+        ]
+    },
+    withdrawals: { label: '提现记录', key: 'id', defaultDays: 365, where: `t.status <> '处理中'` },
+    chats: { label: '聊天记录', key: 'id', defaultDays: 90 },
+    // 用户资金明细是对账和争议处理的依据，默认永久保留
+    balance_logs: { label: '资金明细', key: 'id', defaultDays: 0 }
+};
+
+const MODES = ['archive', 'export'];
+
+const daysKey = (table) => `retentionDays:${table}`;
+
+// 默认设置 (启动时写入，已存在的不覆盖)
+const defaultSettings = () => [
+    ['retentionMode', 'archive'],
+    ...Object.entries(RETENTION_TABLES).map(([table, def]) => [daysKey(table), def.defaultDays.toString()])
+];
+
+// 读取当前策略
+const getPolicy = async (db) => {
+    const keys = ['retentionMode', ...Object.keys(RETENTION_TABLES).map(daysKey)];
+    const res = await db.query('SELECT key, value FROM settings WHERE key = ANY($1)', [keys]);
+    const values = Object.fromEntries(res.rows.map(r => [r.key, r.value]));
+
+    const tables = {};
+    for (const [table, def] of Object.entries(RETENTION_TABLES)) {
+        const days = parseInt(values[daysKey(table)]);
+        tables[table] = { label: def.label, days: isNaN(days) ? def.defaultDays : days };
+    }
+    return { mode: MODES.includes(values.retentionMode) ? values.retentionMode : 'archive', tables };
+};
+
+// 更新策略 (只更新传入的字段)，返回新策略
+const setPolicy = async (db, { mode, days }) => {
+    if (mode !== undefined && !MODES.includes(mode)) throw new Error(`归档方式只能是 ${MODES.join(' / ')}`);
+    const updates = [];
+    if (mode !== undefined) updates.push(['retentionMode', mode]);
+    for (const [table, value] of Object.entries(days || {})) {
+        if (!RETENTION_TABLES[table]) throw new Error(`不支持的表: ${table}`);
+        const n = parseInt(value);
+        if (isNaN(n) || n < 0) throw new Error(`${RETENTION_TABLES[table].label} 保留天数必须是非负整数`);
+        updates.push([daysKey(table), n.toString()]);
+    }
+    for (const [k, v] of updates) {
+        await db.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', [k, v]);
+    }
+    return getPolicy(db);
+};
+
+const expiredWhere = (def) => `t.created_at < NOW() - make_interval(days => $1)${def.where ? ` AND ${def.where}` : ''}`;
+
+// 预览：每张表有多少行会被归档 (不做任何修改)
+const dryRun = async (db) => {
+    const policy = await getPolicy(db);
+    const report = [];
+    for (const [table, def] of Object.entries(RETENTION_TABLES)) {
+        const { days } = policy.tables[table];
+        const item = { table, label: def.label, days, count: 0, oldest: null, newest: null };
+        if (days > 0) {
+            const res = await db.query(
+                `SELECT COUNT(*) AS count, MIN(t.created_at) AS oldest, MAX(t.created_at) AS newest FROM ${table} t WHERE ${expiredWhere(def)}`,
+                [days]
+            );
+            item.count = parseInt(res.rows[0].count);
+            item.oldest = res.rows[0].oldest;
+            item.newest = res.rows[0].newest;
+            for (const child of def.children || []) {
+                const c = await db.query(
+                    `SELECT COUNT(*) FROM ${child.table} WHERE ${child.fk} IN (SELECT t.${def.key} FROM ${table} t WHERE ${expiredWhere(def)})`,
+                    [days]
+                );
+                item[child.table] = parseInt(c.rows[0].count);
+            }
+        }
+        report.push(item);
+    }
+    return { mode: policy.mode, tables: report };
+};
+
+// 归档一批行：archive 模式写 archived_rows，export 模式追加到 gzip 文件
+const archiveRows = async (client, mode, table, keyColumn, whereSql, params, exportFile) => {
+    if (mode === 'archive') {
+        await client.query(
+            `INSERT INTO archived_rows (source_table, row_key, data)
+             SELECT '${table}', t.${keyColumn}::text, row_to_json(t)::jsonb FROM ${table} t WHERE ${whereSql}`,
+            params
+        );
+    } else {
+        const res = await client.query(`SELECT row_to_json(t) AS data FROM ${table} t WHERE ${whereSql}`, params);
+        if (res.rows.length === 0) return;
+        const lines = res.rows.map(r => JSON.stringify({ table, data: r.data })).join('\n') + '\n';
+        // 多个 gzip 成员直接拼接仍是合法的 gzip 文件
+        fs.appendFileSync(exportFile, zlib.gzipSync(lines));
+    }
+};
+
+// 执行归档：按批处理，每批一个事务 (先归档再删除)
+const purge = async (pool, { exportDir } = {}) => {
+    const policy = await getPolicy(pool);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '');
+    if (policy.mode === 'export') fs.mkdirSync(exportDir, { recursive: true });
+
+    const report = [];
+    for (const [table, def] of Object.entries(RETENTION_TABLES)) {
+        const { days } = policy.tables[table];
+        const item = { table, label: def.label, days, count: 0, file: null };
+        report.push(item);
+        if (days <= 0) continue;
+
+        const exportFile = policy.mode === 'export' ? path.join(exportDir, `${table}-${stamp}.jsonl.gz`) : null;
+        while (true) {
+            const client = await pool.connect();
+            let batch = 0;
+            try {
+                await client.query('BEGIN');
+                const keysRes = await client.query(
+                    `SELECT t.${def.key} AS key FROM ${table} t WHERE ${expiredWhere(def)}
+                     ORDER BY t.created_at ASC LIMIT ${BATCH_SIZE} FOR UPDATE SKIP LOCKED`,
+                    [days]
+                );
+                const keys = keysRes.rows.map(r => r.key);
+                batch = keys.length;
+                if (batch > 0) {
+                    for (const child of def.children || []) {
+                        await archiveRows(client, policy.mode, child.table, 'id', `t.${child.fk} = ANY($1)`, [keys], exportFile);
+                        await client.query(`DELETE FROM ${child.table} WHERE ${child.fk} = ANY($1)`, [keys]);
+                    }
+                    await archiveRows(client, policy.mode, table, def.key, `t.${def.key} = ANY($1)`, [keys], exportFile);
+                    await client.query(`DELETE FROM ${table} WHERE ${def.key} = ANY($1)`, [keys]);
+                }
+                await client.query('COMMIT');
+            } catch (e) {
+                await client.query('ROLLBACK');
+                throw e;
+            } finally {
+                client.release();
+            }
+            item.count += batch;
+            if (batch < BATCH_SIZE) break;
+        }
+        if (exportFile && item.count > 0) item.file = exportFile;
+    }
+    return { mode: policy.mode, tables: report };
+};
+
+module.exports = { RETENTION_TABLES, defaultSettings, getPolicy, setPolicy, dryRun, purge };
@@ -0,0 +1,96 @@
+// ==========================================
+// 💸 提现策略：金额上下限、每日额度、手续费、充值后冷静期、风控复核
+// 配置存放在 settings 表 (后台可改)，金额单位均为 USDT，0 表示不限制
+// evaluate 必须在已锁定用户行 (SELECT ... FOR UPDATE) 的事务中调用，
+// 这样同一用户的并发提现会排队，每日额度不会被绕过
+// ==========================================
+
+const FIELDS = {
+    withdrawMin: { label: '单笔最低金额', default: '0' },
+    withdrawMax: { label: '单笔最高金额', default: '0' },
+    withdrawDailyCap: { label: '每日提现额度', default: '0' },
+    withdrawFeeRate: { label: '手续费比例 (%)', default: '0' },
+    withdrawFeeFixed: { label: '每笔固定手续费', default: '0' },
+    withdrawCoolingHours: { label: '充值后冷静期 (小时)', default: '0' },
+    withdrawReviewAmount: { label: '大额复核阈值', default: '500' },
+    withdrawNewAccountDays: { label: '新账号复核期 (天)', default: '3' }
+};
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const defaultSettings = () => Object.entries(FIELDS).map(([key, f]) => [key, f.default]);
+
+const getPolicy = async (db) => {
+    const res = await db.query('SELECT key, value FROM settings WHERE key = ANY($1)', [Object.keys(FIELDS)]);
+    const values = Object.fromEntries(res.rows.map(r => [r.key, r.value]));
+    const policy = {};
+    for (const [key, f] of Object.entries(FIELDS)) {
+        const n = parseFloat(values[key] !== undefined ? values[key] : f.default);
+        policy[key] = isNaN(n) ? parseFloat(f.default) : n;
+    }
+    return policy;
+};
+
+// 更新策略 (只更新传入的字段)，返回新策略
+const setPolicy = async (db, updates) => {
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (!FIELDS[key]) throw new Error(`不支持的配置项: ${key}`);
+        const n = parseFloat(value);
+        if (isNaN(n) || n < 0) throw new Error(`${FIELDS[key].label} 必须是非负数`);
+        await db.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', [key, n.toString()]);
+    }
+    return getPolicy(db);
+};
+
+const calcFee = (policy, amount) => round4(amount * policy.withdrawFeeRate / 100 + policy.withdrawFeeFixed);
+
+// 校验一笔提现申请
+// 返回 { ok, msg, fee, netAmount, flags, requiredApprovals }
+// flags 为风控标记 (不拦截，但需要第二个管理员复核)
+const evaluate = async (client, { user, amount, policy }) => {
+    policy = policy || await getPolicy(client);
+    const reject = (msg) => ({ ok: false, msg });
+
+    if (policy.withdrawMin > 0 && amount < policy.withdrawMin) return reject(`单笔最低提现 ${policy.withdrawMin} USDT`);
+    if (policy.withdrawMax > 0 && amount > policy.withdrawMax) return reject(`单笔最高提现 ${policy.withdrawMax} USDT`);
+    if (parseFloat(user.balance) < amount) return reject('余额不足');
+
+    const fee = calcFee(policy, amount);
+    if (fee >= amount) return reject(`提现金额需大于手续费 ${fee} USDT`);
+
+    if (policy.withdrawDailyCap > 0) {
+        const todayRes = await client.query(
+            "SELECT COALESCE(SUM(amount), 0) AS total FROM withdrawals WHERE user_id = $1 AND status <> '已驳回' AND created_at >= date_trunc('day', NOW())",
+            [user.id]
+        );
+        const used = parseFloat(todayRes.rows[0].total);
+        if (used + amount > policy.withdrawDailyCap) {
+            return reject(`超出每日提现额度，今日还可提现 ${round4(Math.max(0, policy.withdrawDailyCap - used))} USDT`);
+        }
+    }
+
+    if (policy.withdrawCoolingHours > 0) {
+        const rechargeRes = await client.query(
+            "SELECT MAX(created_at) AS last FROM balance_logs WHERE user_id = $1 AND type = '余额充值'",
+            [user.id]
+        );
+        const last = rechargeRes.rows[0].last;
+        if (last) {
+            const readyAt = new Date(new Date(last).getTime() + policy.withdrawCoolingHours * 3600 * 1000);
+            if (readyAt > new Date()) return reject(`充值后 ${policy.withdrawCoolingHours} 小时内不能提现，请于 ${readyAt.toLocaleString()} 后再试`);
+        }
+    }
+
+    const flags = [];
+    if (policy.withdrawReviewAmount > 0 && amount >= policy.withdrawReviewAmount) {
+        flags.push(`大额提现 (≥ ${policy.withdrawReviewAmount} USDT)`);
+    }
+    if (policy.withdrawNewAccountDays > 0 && user.created_at) {
+        const ageDays = (Date.now() - new Date(user.created_at).getTime()) / 86400000;
+        if (ageDays < policy.withdrawNewAccountDays) flags.push(`新注册账号 (${ageDays.toFixed(1)} 天)`);
+    }
+
+    return { ok: true, fee, netAmount: round4(amount - fee), flags, requiredApprovals: flags.length > 0 ? 2 : 1 };
+};
+
+module.exports = { FIELDS, defaultSettings, getPolicy, setPolicy, calcFee, evaluate };
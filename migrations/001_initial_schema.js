@@ -0,0 +1,134 @@
+// 初始表结构 (原 initDB 中的 1-8 号表)
+// 全部使用 IF NOT EXISTS，已在运行的旧库执行时只会补齐缺失的字段
+module.exports = {
+    up: async (db) => {
+        // 1. 用户表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id BIGINT PRIMARY KEY,
+                contact TEXT NOT NULL,
+                password TEXT NOT NULL,
+                balance NUMERIC(10, 4) DEFAULT 0,
+                invite_code TEXT,
+                invited_by BIGINT,
+                source TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 2. 订单表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS orders (
+                order_id TEXT PRIMARY KEY,
+                user_id BIGINT,
+                product_name TEXT,
+                payment_method TEXT,
+                usdt_amount NUMERIC(10, 4),
+                cny_amount NUMERIC(10, 2),
+                status TEXT DEFAULT '待支付',
+                shipping_info TEXT,
+                tracking_number TEXT,
+                qrcode_url TEXT,
+                proof TEXT,
+                wallet TEXT,
+                source TEXT,
+                expires_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 3. 提现表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS withdrawals (
+                id SERIAL PRIMARY KEY,
+                user_id BIGINT,
+                amount NUMERIC(10, 4),
+                address TEXT,
+                status TEXT DEFAULT '处理中',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 4. 商品表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS products (
+                id BIGINT PRIMARY KEY,
+                name TEXT NOT NULL,
+                price NUMERIC(10, 2) NOT NULL,
+                stock INT DEFAULT 0,
+                category TEXT,
+                type TEXT,
+                description TEXT,
+                image_url TEXT,
+                is_pinned BOOLEAN DEFAULT FALSE
+            );
+        `);
+
+        // 5. 招聘表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS hiring (
+                id SERIAL PRIMARY KEY,
+                title TEXT,
+                content TEXT,
+                contact TEXT
+            );
+        `);
+
+        // 6. 聊天记录表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS chats (
+                id SERIAL PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                sender TEXT,
+                content TEXT,
+                msg_type TEXT DEFAULT 'text',
+                is_read BOOLEAN DEFAULT FALSE,
+                is_initiate BOOLEAN DEFAULT FALSE,
+                source TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 7. 系统设置表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+
+        // 8. 分类排序表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS categories (
+                name TEXT PRIMARY KEY,
+                priority INT DEFAULT 0
+            );
+        `);
+
+        // 9. 资金明细表
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS balance_logs (
+                id SERIAL PRIMARY KEY,
+                user_id BIGINT,
+                type TEXT,
+                amount NUMERIC(10, 4),
+                remark TEXT,
+                balance_after NUMERIC(10, 4),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 旧库补字段 (原 /fix_db 指令和每次回复消息时执行的 ALTER)
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS wallet TEXT');
+        await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS source TEXT');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS source TEXT');
+        await db.query('ALTER TABLE chats ADD COLUMN IF NOT EXISTS source TEXT');
+        await db.query("ALTER TABLE chats ADD COLUMN IF NOT EXISTS msg_type TEXT DEFAULT 'text'");
+        await db.query("ALTER TABLE chats ALTER COLUMN msg_type SET DEFAULT 'text'");
+        await db.query('ALTER TABLE balance_logs ADD COLUMN IF NOT EXISTS balance_after NUMERIC(10, 4)');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS balance_logs, categories, settings, chats, hiring, products, withdrawals, orders, users');
+    }
+};
@@ -0,0 +1,20 @@
+// 用户会话表 (刷新令牌只存哈希)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id TEXT PRIMARY KEY,
+                user_id BIGINT NOT NULL,
+                refresh_hash TEXT NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS user_sessions');
+    }
+};
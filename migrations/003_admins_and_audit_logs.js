@@ -0,0 +1,49 @@
+// 后台管理员表 (多账号 + 角色) + 管理操作审计日志 (只允许追加，禁止修改/删除/清空)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admins (
+                id SERIAL PRIMARY KEY,
+                username TEXT UNIQUE NOT NULL,
+                password TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'support',
+                is_active BOOLEAN DEFAULT TRUE,
+                last_login_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_audit_logs (
+                id BIGSERIAL PRIMARY KEY,
+                actor_type TEXT NOT NULL,
+                actor_id TEXT NOT NULL,
+                actor_name TEXT,
+                action TEXT NOT NULL,
+                target_type TEXT,
+                target_id TEXT,
+                before_value JSONB,
+                after_value JSONB,
+                ip TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE OR REPLACE FUNCTION admin_audit_logs_immutable() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'admin_audit_logs 为只追加表，禁止修改或删除';
+            END;
+            $$ LANGUAGE plpgsql;
+        `);
+        await db.query('DROP TRIGGER IF EXISTS admin_audit_logs_no_modify ON admin_audit_logs');
+        await db.query('CREATE TRIGGER admin_audit_logs_no_modify BEFORE UPDATE OR DELETE ON admin_audit_logs FOR EACH ROW EXECUTE FUNCTION admin_audit_logs_immutable()');
+        await db.query('DROP TRIGGER IF EXISTS admin_audit_logs_no_truncate ON admin_audit_logs');
+        await db.query('CREATE TRIGGER admin_audit_logs_no_truncate BEFORE TRUNCATE ON admin_audit_logs FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_logs_immutable()');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS admin_audit_logs');
+        await db.query('DROP FUNCTION IF EXISTS admin_audit_logs_immutable()');
+        await db.query('DROP TABLE IF EXISTS admins');
+    }
+};
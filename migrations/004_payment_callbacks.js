@@ -0,0 +1,24 @@
+// 支付回调记录表 (每次回调都记录，便于财务对账)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payment_callbacks (
+                id BIGSERIAL PRIMARY KEY,
+                order_id TEXT,
+                nonce TEXT,
+                nonce_used BOOLEAN DEFAULT FALSE,
+                ip TEXT,
+                payload JSONB,
+                verdict TEXT NOT NULL,
+                detail TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        // 同一个 nonce 只能被验签通过的回调使用一次 (防重放)
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS payment_callbacks_nonce_used_idx ON payment_callbacks (nonce) WHERE nonce_used');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS payment_callbacks');
+    }
+};
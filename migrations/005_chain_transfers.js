@@ -0,0 +1,24 @@
+// 链上转账记录表 (tx_hash 唯一，保证同一笔转账只入账一次)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS chain_transfers (
+                tx_hash TEXT PRIMARY KEY,
+                network TEXT,
+                from_address TEXT,
+                to_address TEXT,
+                amount NUMERIC(20, 6),
+                block_time TIMESTAMP,
+                status TEXT,
+                order_id TEXT,
+                detail TEXT,
+                matched_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS chain_transfers');
+    }
+};
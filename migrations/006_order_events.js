@@ -0,0 +1,23 @@
+// 订单状态流转记录表 + 订单余额抵扣金额
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS order_events (
+                id BIGSERIAL PRIMARY KEY,
+                order_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                actor TEXT,
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS balance_paid NUMERIC(10, 4) DEFAULT 0');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS balance_paid');
+        await db.query('DROP TABLE IF EXISTS order_events');
+    }
+};
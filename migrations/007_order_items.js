@@ -0,0 +1,21 @@
+// 订单明细表 (每个商品一行，保存下单时的名称/单价/图片快照)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS order_items (
+                id BIGSERIAL PRIMARY KEY,
+                order_id TEXT NOT NULL,
+                product_id BIGINT,
+                product_name TEXT,
+                unit_price NUMERIC(10, 2),
+                quantity INT NOT NULL,
+                image_url TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS order_items');
+    }
+};
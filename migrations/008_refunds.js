@@ -0,0 +1,36 @@
+// 退款记录表 + 订单已付/已退金额 (余额部分和外部 USDT/CNY 部分分开记)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS refunds (
+                id SERIAL PRIMARY KEY,
+                order_id TEXT NOT NULL,
+                user_id BIGINT NOT NULL,
+                amount NUMERIC(10, 4) NOT NULL,
+                balance_part NUMERIC(10, 4) DEFAULT 0,
+                external_part NUMERIC(10, 4) DEFAULT 0,
+                reason TEXT,
+                status TEXT DEFAULT '待审批',
+                requested_by TEXT,
+                approved_by TEXT,
+                processed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        const extPaidCol = await db.query("SELECT 1 FROM information_schema.columns WHERE table_name = 'orders' AND column_name = 'external_paid'");
+        if (extPaidCol.rows.length === 0) {
+            await db.query('ALTER TABLE orders ADD COLUMN external_paid NUMERIC(10, 4) DEFAULT 0');
+            // 旧的已支付商品订单：外部已付金额即 usdt_amount
+            await db.query("UPDATE orders SET external_paid = usdt_amount WHERE status IN ('已支付', '已发货') AND product_name <> '余额充值'");
+        }
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_balance NUMERIC(10, 4) DEFAULT 0');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_external NUMERIC(10, 4) DEFAULT 0');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS refunded_external');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS refunded_balance');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS external_paid');
+        await db.query('DROP TABLE IF EXISTS refunds');
+    }
+};
@@ -0,0 +1,33 @@
+// 复式记账：账务交易 + 分录 (每笔交易分录之和必须为0)
+const { postOpeningBalances } = require('../lib/ledger');
+
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ledger_transactions (
+                id BIGSERIAL PRIMARY KEY,
+                type TEXT NOT NULL,
+                ref TEXT,
+                remark TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id BIGSERIAL PRIMARY KEY,
+                txn_id BIGINT NOT NULL REFERENCES ledger_transactions(id),
+                account TEXT NOT NULL,
+                user_id BIGINT,
+                amount NUMERIC(14, 4) NOT NULL
+            );
+        `);
+
+        // 启用账本前已有余额的用户补记期初余额
+        const opened = await postOpeningBalances(db);
+        if (opened > 0) console.log(`📒 已为 ${opened} 个用户补记期初余额`);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS ledger_entries, ledger_transactions');
+    }
+};
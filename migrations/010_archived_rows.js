@@ -0,0 +1,19 @@
+// 过期数据归档表 (数据保留策略，整行以 JSONB 保存)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS archived_rows (
+                id BIGSERIAL PRIMARY KEY,
+                source_table TEXT NOT NULL,
+                row_key TEXT NOT NULL,
+                data JSONB NOT NULL,
+                archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_archived_rows_source ON archived_rows (source_table, row_key)');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS archived_rows');
+    }
+};
@@ -0,0 +1,28 @@
+// 常用查询索引：按用户查订单/流水/提现，按会话查聊天，按订单查明细/流转记录
+const INDEXES = [
+    ['idx_orders_user_id', 'orders (user_id, created_at DESC)'],
+    ['idx_orders_status_expires', 'orders (status, expires_at)'],
+    ['idx_chats_session_id', 'chats (session_id, created_at)'],
+    ['idx_balance_logs_user_id', 'balance_logs (user_id, created_at DESC)'],
+    ['idx_withdrawals_user_id', 'withdrawals (user_id, created_at DESC)'],
+    ['idx_users_invited_by', 'users (invited_by)'],
+    ['idx_order_items_order_id', 'order_items (order_id)'],
+    ['idx_order_events_order_id', 'order_events (order_id, created_at)'],
+    ['idx_refunds_order_id', 'refunds (order_id)'],
+    ['idx_ledger_entries_user', 'ledger_entries (account, user_id)'],
+    ['idx_ledger_entries_txn', 'ledger_entries (txn_id)']
+];
+
+module.exports = {
+    up: async (db) => {
+        for (const [name, def] of INDEXES) {
+            await db.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${def}`);
+        }
+    },
+
+    down: async (db) => {
+        for (const [name] of INDEXES) {
+            await db.query(`DROP INDEX IF EXISTS ${name}`);
+        }
+    }
+};
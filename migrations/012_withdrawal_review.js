@@ -0,0 +1,20 @@
+// 提现审核：手续费/实际到账、风控标记、需要的审批人数、审批记录
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS fee NUMERIC(10, 4) DEFAULT 0');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS net_amount NUMERIC(10, 4)');
+        await db.query("ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS risk_flags JSONB DEFAULT '[]'");
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS required_approvals INT DEFAULT 1');
+        // [{ id: 'tg:123' | 'admin:1', name, at }]
+        await db.query("ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS approvals JSONB DEFAULT '[]'");
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS reviewed_by TEXT');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP');
+        await db.query('UPDATE withdrawals SET net_amount = amount WHERE net_amount IS NULL');
+    },
+
+    down: async (db) => {
+        for (const col of ['processed_at', 'reviewed_by', 'approvals', 'required_approvals', 'risk_flags', 'net_amount', 'fee']) {
+            await db.query(`ALTER TABLE withdrawals DROP COLUMN IF EXISTS ${col}`);
+        }
+    }
+};
@@ -0,0 +1,18 @@
+// 提现打款凭证：交易哈希/截图、打款时间、打款人，以及群内通知消息 ID (回复该消息即可登记凭证)
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_tx_hash TEXT');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_proof_url TEXT');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS paid_by TEXT');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS tg_message_id BIGINT');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_withdrawals_tg_message_id ON withdrawals (tg_message_id)');
+    },
+
+    down: async (db) => {
+        await db.query('DROP INDEX IF EXISTS idx_withdrawals_tg_message_id');
+        for (const col of ['tg_message_id', 'paid_by', 'paid_at', 'payout_proof_url', 'payout_tx_hash']) {
+            await db.query(`ALTER TABLE withdrawals DROP COLUMN IF EXISTS ${col}`);
+        }
+    }
+};
@@ -0,0 +1,28 @@
+// 邀请返利规则：按层级 + 触发类型 (purchase 消费 / recharge 充值) 配置比例，可按商品分类覆盖
+// category 为空表示该层级的默认比例；rate 为百分比 (5 = 5%)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS commission_rules (
+                id SERIAL PRIMARY KEY,
+                level INT NOT NULL CHECK (level >= 1),
+                trigger TEXT NOT NULL CHECK (trigger IN ('purchase', 'recharge')),
+                category TEXT,
+                rate NUMERIC(6, 3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+                is_active BOOLEAN DEFAULT TRUE,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query("CREATE UNIQUE INDEX IF NOT EXISTS commission_rules_unique_idx ON commission_rules (level, trigger, COALESCE(category, ''))");
+
+        // 保持原有规则：直接邀请人获得消费金额的 5%
+        const existing = await db.query('SELECT 1 FROM commission_rules LIMIT 1');
+        if (existing.rows.length === 0) {
+            await db.query("INSERT INTO commission_rules (level, trigger, rate) VALUES (1, 'purchase', 5)");
+        }
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS commission_rules');
+    }
+};
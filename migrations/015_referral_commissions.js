@@ -0,0 +1,44 @@
+// 邀请返利明细：每笔返利记录邀请人、下线、来源订单、计佣金额、比例和返利金额
+// 旧数据从 balance_logs 的备注 "好友 {id} {类型} {金额} USDT" 解析回填
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS referral_commissions (
+                id BIGSERIAL PRIMARY KEY,
+                inviter_id BIGINT NOT NULL,
+                invitee_id BIGINT NOT NULL,
+                level INT NOT NULL DEFAULT 1,
+                trigger TEXT NOT NULL,
+                order_id TEXT,
+                base_amount NUMERIC(14, 4) NOT NULL,
+                rate NUMERIC(8, 4) NOT NULL,
+                commission NUMERIC(14, 4) NOT NULL,
+                ledger_txn_id BIGINT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_referral_commissions_inviter ON referral_commissions (inviter_id, created_at DESC)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_referral_commissions_invitee ON referral_commissions (inviter_id, invitee_id)');
+
+        await db.query(`
+            INSERT INTO referral_commissions (inviter_id, invitee_id, level, trigger, base_amount, rate, commission, created_at)
+            SELECT b.user_id,
+                   substring(b.remark from '^好友 (\\d+) ')::BIGINT,
+                   COALESCE(substring(b.remark from '\\((\\d+)级')::INT, 1),
+                   CASE WHEN b.remark LIKE '好友 % 充值 %' THEN 'recharge' ELSE 'purchase' END,
+                   substring(b.remark from '^好友 \\d+ \\S+ ([0-9.]+) USDT')::NUMERIC,
+                   CASE WHEN substring(b.remark from '^好友 \\d+ \\S+ ([0-9.]+) USDT')::NUMERIC > 0
+                        THEN ROUND(b.amount / substring(b.remark from '^好友 \\d+ \\S+ ([0-9.]+) USDT')::NUMERIC * 100, 4)
+                        ELSE 0 END,
+                   b.amount,
+                   b.created_at
+            FROM balance_logs b
+            WHERE b.type = '佣金返利' AND b.remark ~ '^好友 \\d+ \\S+ [0-9.]+ USDT'
+              AND NOT EXISTS (SELECT 1 FROM referral_commissions)
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS referral_commissions');
+    }
+};
@@ -0,0 +1,27 @@
+// 幂等键：客户端通过 Idempotency-Key 请求头重试时直接返回第一次的结果
+// 另外保证同一订单对同一邀请人只返利一次
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                user_id BIGINT NOT NULL,
+                scope TEXT NOT NULL,
+                key TEXT NOT NULL,
+                request_hash TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'processing',
+                response_status INT,
+                response_body JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, scope, key)
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at)');
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS referral_commissions_order_inviter_idx ON referral_commissions (order_id, inviter_id) WHERE order_id IS NOT NULL');
+    },
+
+    down: async (db) => {
+        await db.query('DROP INDEX IF EXISTS referral_commissions_order_inviter_idx');
+        await db.query('DROP TABLE IF EXISTS idempotency_keys');
+    }
+};
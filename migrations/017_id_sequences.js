@@ -0,0 +1,14 @@
+// 订单号 / 用户ID 序列 (替代随机数，保证不重复)
+// 新用户ID = 序号 * 10 + 校验位，序号从旧ID最大值之后开始，不会与已有用户冲突
+module.exports = {
+    up: async (db) => {
+        await db.query('CREATE SEQUENCE IF NOT EXISTS order_id_seq START 1');
+        await db.query('CREATE SEQUENCE IF NOT EXISTS user_id_seq START 100000');
+        await db.query(`SELECT setval('user_id_seq', GREATEST(100000, (SELECT COALESCE(MAX(id), 0) FROM users) / 10 + 1))`);
+    },
+
+    down: async (db) => {
+        await db.query('DROP SEQUENCE IF EXISTS user_id_seq');
+        await db.query('DROP SEQUENCE IF EXISTS order_id_seq');
+    }
+};
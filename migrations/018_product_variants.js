@@ -0,0 +1,29 @@
+// 商品规格 (面值/地区等)：每个规格有独立的 SKU、价格、库存和属性
+// 有规格的商品，products.price / stock 只作为展示汇总 (最低价 / 总库存)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS product_variants (
+                id BIGSERIAL PRIMARY KEY,
+                product_id BIGINT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                sku TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                price NUMERIC(10, 2) NOT NULL,
+                stock INT NOT NULL DEFAULT 0,
+                attributes JSONB NOT NULL DEFAULT '{}',
+                sort_order INT NOT NULL DEFAULT 0,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants (product_id, sort_order)');
+        await db.query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id BIGINT');
+        await db.query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku TEXT');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE order_items DROP COLUMN IF EXISTS sku');
+        await db.query('ALTER TABLE order_items DROP COLUMN IF EXISTS variant_id');
+        await db.query('DROP TABLE IF EXISTS product_variants');
+    }
+};
@@ -0,0 +1,31 @@
+// 卡密库存：auto_delivery 商品的库存由未使用的卡密数量决定，付款后自动发货
+// 状态: available 未使用 / reserved 下单预留 / delivered 已发货 / void 作废
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS auto_delivery BOOLEAN NOT NULL DEFAULT FALSE');
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS card_keys (
+                id BIGSERIAL PRIMARY KEY,
+                product_id BIGINT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                variant_id BIGINT REFERENCES product_variants(id) ON DELETE CASCADE,
+                code TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'available',
+                batch TEXT,
+                order_id TEXT,
+                order_item_id BIGINT,
+                reserved_at TIMESTAMP,
+                delivered_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        // 同一商品不允许重复导入相同卡密
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_card_keys_product_code ON card_keys (product_id, code)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_card_keys_available ON card_keys (product_id, variant_id, id) WHERE status = \'available\'');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_card_keys_order_item ON card_keys (order_item_id)');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS card_keys');
+        await db.query('ALTER TABLE products DROP COLUMN IF EXISTS auto_delivery');
+    }
+};
@@ -0,0 +1,45 @@
+// 库存预留与库存流水
+// stock 为可售库存，reserved 为待支付订单预留的数量；order_items.stock_status 记录明细的库存状态 (held / committed / released)
+// 迁移时为每个商品 (有规格的按规格) 写一条期初流水，作为库存报表的起点
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS reserved INT NOT NULL DEFAULT 0');
+        await db.query('ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS reserved INT NOT NULL DEFAULT 0');
+        await db.query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS stock_status TEXT');
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS inventory_movements (
+                id BIGSERIAL PRIMARY KEY,
+                product_id BIGINT NOT NULL,
+                variant_id BIGINT,
+                qty_change INT NOT NULL DEFAULT 0,
+                reserved_change INT NOT NULL DEFAULT 0,
+                stock_after INT,
+                reserved_after INT,
+                reason TEXT NOT NULL,
+                order_id TEXT,
+                actor TEXT,
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements (product_id, variant_id, created_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_inventory_movements_order ON inventory_movements (order_id)');
+
+        await db.query(`
+            INSERT INTO inventory_movements (product_id, variant_id, qty_change, stock_after, reserved_after, reason, actor)
+            SELECT p.id, NULL, p.stock, p.stock, 0, 'opening', 'system' FROM products p
+            WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+        `);
+        await db.query(`
+            INSERT INTO inventory_movements (product_id, variant_id, qty_change, stock_after, reserved_after, reason, actor)
+            SELECT v.product_id, v.id, v.stock, v.stock, 0, 'opening', 'system' FROM product_variants v
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS inventory_movements');
+        await db.query('ALTER TABLE order_items DROP COLUMN IF EXISTS stock_status');
+        await db.query('ALTER TABLE product_variants DROP COLUMN IF EXISTS reserved');
+        await db.query('ALTER TABLE products DROP COLUMN IF EXISTS reserved');
+    }
+};
@@ -0,0 +1,29 @@
+// 到货提醒订阅：登录用户按 user_id，游客按联系方式，同一商品 (规格) 待通知的订阅只保留一条
+// session_id 为到货时推送的聊天会话 (登录用户为 user_<id>，游客为其客服会话，可为空)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS restock_subscriptions (
+                id BIGSERIAL PRIMARY KEY,
+                product_id BIGINT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                variant_id BIGINT REFERENCES product_variants(id) ON DELETE CASCADE,
+                user_id BIGINT,
+                contact TEXT,
+                session_id TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                notified_at TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS uq_restock_subscriptions_pending
+            ON restock_subscriptions (product_id, COALESCE(variant_id, 0), COALESCE('u:' || user_id::text, 'c:' || lower(contact)))
+            WHERE status = 'pending'
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_restock_subscriptions_product ON restock_subscriptions (product_id, status)');
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS restock_subscriptions');
+    }
+};
@@ -0,0 +1,51 @@
+// 优惠券：百分比 / 固定金额折扣，最低消费，总次数和每人次数限制，有效期，适用分类/商品
+// coupon_redemptions 记录每个订单使用的优惠券，订单关闭/取消时释放 (不占用次数)
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS coupons (
+                id BIGSERIAL PRIMARY KEY,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT,
+                discount_type TEXT NOT NULL,
+                discount_value NUMERIC(12, 4) NOT NULL,
+                max_discount NUMERIC(12, 4),
+                min_spend NUMERIC(12, 4) NOT NULL DEFAULT 0,
+                usage_limit INT,
+                per_user_limit INT NOT NULL DEFAULT 1,
+                used_count INT NOT NULL DEFAULT 0,
+                categories TEXT[] NOT NULL DEFAULT '{}',
+                product_ids BIGINT[] NOT NULL DEFAULT '{}',
+                starts_at TIMESTAMP,
+                ends_at TIMESTAMP,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS coupon_redemptions (
+                id BIGSERIAL PRIMARY KEY,
+                coupon_id BIGINT NOT NULL REFERENCES coupons(id),
+                order_id TEXT NOT NULL UNIQUE,
+                user_id BIGINT NOT NULL,
+                discount NUMERIC(12, 4) NOT NULL,
+                status TEXT NOT NULL DEFAULT 'applied',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                released_at TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON coupon_redemptions (coupon_id, user_id) WHERE status = \'applied\'');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12, 4)');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12, 4) NOT NULL DEFAULT 0');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code TEXT');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS coupon_code');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS discount_amount');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS subtotal');
+        await db.query('DROP TABLE IF EXISTS coupon_redemptions');
+        await db.query('DROP TABLE IF EXISTS coupons');
+    }
+};
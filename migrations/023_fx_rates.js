@@ -0,0 +1,60 @@
+// 多币种汇率：每个法币有自己的汇率 (1 USDT = rate 法币) 和手续费 (%)，methods 为使用该币种的支付方式
+// rate_history 记录每次变更；订单上保存下单时的币种、汇率、手续费快照
+// 期初数据：CNY 取原 settings.rate / feeRate
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS fx_rates (
+                currency TEXT PRIMARY KEY,
+                rate NUMERIC(14, 6) NOT NULL,
+                fee_rate NUMERIC(8, 4) NOT NULL DEFAULT 0,
+                methods TEXT[] NOT NULL DEFAULT '{}',
+                auto_update BOOLEAN NOT NULL DEFAULT FALSE,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                source TEXT,
+                updated_by TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS rate_history (
+                id BIGSERIAL PRIMARY KEY,
+                currency TEXT NOT NULL,
+                rate NUMERIC(14, 6) NOT NULL,
+                fee_rate NUMERIC(8, 4) NOT NULL,
+                source TEXT,
+                actor TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_rate_history_currency ON rate_history (currency, created_at)');
+
+        await db.query(`
+            INSERT INTO fx_rates (currency, rate, fee_rate, methods, source, updated_by)
+            SELECT 'CNY',
+                   COALESCE((SELECT NULLIF(value, '')::numeric FROM settings WHERE key = 'rate'), 7.0),
+                   COALESCE((SELECT NULLIF(value, '')::numeric FROM settings WHERE key = 'feeRate'), 0),
+                   ARRAY['alipay', 'wechat', 'wxpay', 'bank', 'cny', '支付宝', '微信', '银行卡'],
+                   'manual', 'system'
+            ON CONFLICT (currency) DO NOTHING
+        `);
+        await db.query(`
+            INSERT INTO rate_history (currency, rate, fee_rate, source, actor)
+            SELECT currency, rate, fee_rate, 'opening', 'system' FROM fx_rates
+        `);
+
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency TEXT');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(14, 6)');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS fx_fee_rate NUMERIC(8, 4)');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS fiat_amount NUMERIC(14, 2)');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS fiat_amount');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS fx_fee_rate');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS fx_rate');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS currency');
+        await db.query('DROP TABLE IF EXISTS rate_history');
+        await db.query('DROP TABLE IF EXISTS fx_rates');
+    }
+};
@@ -0,0 +1,62 @@
+// 支付方式登记表：每种支付方式有类型 (usdt 链上地址 / qr_pool 固定收款码池 / manual 人工处理)、
+// 启用开关、单笔金额上下限 (USDT) 和手续费；aliases 兼容旧前端传入的支付方式名称
+// payment_qr_codes 为每种支付方式可复用的收款码池，下单时自动分配给订单 (orders.qr_code_id)
+// 顾客反馈收款码异常时该码标记为 reported，不再分配，等后台核实后恢复或停用
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payment_methods (
+                id SERIAL PRIMARY KEY,
+                code TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                aliases TEXT[] NOT NULL DEFAULT '{}',
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                min_amount NUMERIC(14, 4),
+                max_amount NUMERIC(14, 4),
+                fee_rate NUMERIC(8, 4) NOT NULL DEFAULT 0,
+                fee_fixed NUMERIC(14, 4) NOT NULL DEFAULT 0,
+                instructions TEXT,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payment_qr_codes (
+                id SERIAL PRIMARY KEY,
+                method_id INT NOT NULL REFERENCES payment_methods(id) ON DELETE CASCADE,
+                image_url TEXT NOT NULL,
+                label TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                assigned_count INT NOT NULL DEFAULT 0,
+                report_count INT NOT NULL DEFAULT 0,
+                last_assigned_at TIMESTAMP,
+                last_reported_at TIMESTAMP,
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_payment_qr_codes_method ON payment_qr_codes (method_id, status)');
+
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS qr_code_id INT REFERENCES payment_qr_codes(id) ON DELETE SET NULL');
+        await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_fee NUMERIC(14, 4) NOT NULL DEFAULT 0');
+
+        // 期初数据：原来前端使用的几种支付方式
+        await db.query(`
+            INSERT INTO payment_methods (code, name, type, aliases, sort_order) VALUES
+                ('usdt', 'USDT (TRC20)', 'usdt', ARRAY['trc20', 'usdt-trc20', 'usdt_trc20'], 1),
+                ('alipay', '支付宝', 'qr_pool', ARRAY['支付宝'], 2),
+                ('wechat', '微信支付', 'qr_pool', ARRAY['wxpay', '微信'], 3),
+                ('bank', '银行卡', 'manual', ARRAY['cny', '银行卡'], 4)
+            ON CONFLICT (code) DO NOTHING
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS payment_fee');
+        await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS qr_code_id');
+        await db.query('DROP TABLE IF EXISTS payment_qr_codes');
+        await db.query('DROP TABLE IF EXISTS payment_methods');
+    }
+};
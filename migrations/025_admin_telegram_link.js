@@ -0,0 +1,10 @@
+// 后台管理员绑定 Telegram 账号：提现复核按真实的人去重，同一个人不能在群里和后台各审批一次
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS telegram_id TEXT UNIQUE');
+    },
+
+    down: async (db) => {
+        await db.query('ALTER TABLE admins DROP COLUMN IF EXISTS telegram_id');
+    }
+};
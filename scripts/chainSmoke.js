@@ -0,0 +1,128 @@
+// ==========================================
+// ⛓️ 链上收款匹配自检：npm test
+// 用 mock provider 注入转账，驱动 chainWatcher 的匹配逻辑 (地址 + 精确金额)
+// 不连接数据库：用内存里的几张表代替 pool，遇到未识别的 SQL 直接报错，防止与实现脱节
+// ==========================================
+const assert = require('assert');
+const { createChainWatcher, createProvider } = require('../lib/chainWatcher');
+
+const createMemoryPool = ({ orders }) => {
+    const settings = new Map();
+    const transfers = new Map();
+    const units = (v) => Math.round(parseFloat(v) * 10000);
+
+    const query = async (sql, params = []) => {
+        const q = sql.replace(/\s+/g, ' ').trim();
+        if (q.startsWith('SELECT value FROM settings')) {
+            return { rows: settings.has(params[0]) ? [{ value: settings.get(params[0]) }] : [] };
+        }
+        if (q.startsWith('INSERT INTO settings')) {
+            settings.set(params[0], params[1]);
+            return { rows: [] };
+        }
+        if (q.startsWith('SELECT order_id FROM orders')) {
+            const hit = orders.find(o => ['待支付', '待审核'].includes(o.status)
+                && o.wallet.toLowerCase() === params[0].toLowerCase() && units(o.usdt_amount) === units(params[1]));
+            return { rows: hit ? [{ order_id: hit.order_id }] : [] };
+        }
+        if (q.startsWith('INSERT INTO chain_transfers')) {
+            if (transfers.has(params[0])) return { rows: [] };
+            transfers.set(params[0], { tx_hash: params[0], to_address: params[3], amount: params[4], status: 'pending' });
+            return { rows: [{ tx_hash: params[0] }] };
+        }
+        if (q.startsWith("UPDATE chain_transfers SET status = 'unmatched'")) {
+            transfers.get(params[0]).status = 'unmatched';
+            return { rows: [] };
+        }
+        if (q.startsWith('UPDATE chain_transfers SET status = $1')) {
+            Object.assign(transfers.get(params[3]), { status: params[0], order_id: params[1], detail: params[2] });
+            return { rows: [] };
+        }
+        if (q.startsWith('DELETE FROM chain_transfers')) {
+            transfers.delete(params[0]);
+            return { rows: [] };
+        }
+        throw new Error(`未识别的 SQL: ${q}`);
+    };
+
+    return { query, transfers };
+};
+
+const run = async () => {
+    const WALLET = 'TSharedWallet000000000000000000001';
+    const DEDICATED = 'TDedicatedWallet00000000000000002';
+    const orders = [
+        { order_id: 'A', status: '待支付', wallet: WALLET, usdt_amount: '10.0012' },
+        { order_id: 'B', status: '待支付', wallet: WALLET, usdt_amount: '10.0047' },
+        { order_id: 'C', status: '待支付', wallet: DEDICATED, usdt_amount: '25.0000' },
+        { order_id: 'D', status: '已关闭', wallet: WALLET, usdt_amount: '10.0099' },
+        { order_id: 'E', status: '待支付', wallet: WALLET, usdt_amount: '10.0055' },
+        { order_id: 'F', status: '待支付', wallet: DEDICATED, usdt_amount: '30.0000', reject: 'amount_mismatch' }
+    ];
+    const pool = createMemoryPool({ orders });
+    const provider = createProvider('mock', {});
+    const matchedCalls = [];
+    const unmatched = [];
+    const rejected = [];
+    let failNext = false;
+
+    const watcher = createChainWatcher({
+        pool,
+        provider,
+        getAddresses: async () => [WALLET, DEDICATED],
+        onMatched: async (orderId, tx) => {
+            if (failNext) {
+                failNext = false;
+                throw new Error('模拟处理失败');
+            }
+            const order = orders.find(o => o.order_id === orderId);
+            if (order.reject) return { ok: false, reason: order.reject };
+            matchedCalls.push(orderId);
+            order.status = '已支付';
+            return { ok: true };
+        },
+        onUnmatched: async (tx) => { unmatched.push(tx.txHash); },
+        onRejected: async (orderId, tx, result) => { rejected.push([orderId, result.reason]); },
+        logger: { log: () => {}, error: () => {} }
+    });
+
+    // 1. 同一地址按金额精确匹配 (尾数区分订单)；已关闭订单的金额不匹配
+    provider.addTransfer({ txHash: 'tx1', to: WALLET, amount: '10.0047' });
+    provider.addTransfer({ txHash: 'tx2', to: DEDICATED, amount: '25' });
+    provider.addTransfer({ txHash: 'tx3', to: WALLET, amount: '10.0099' });
+    assert.deepStrictEqual((await watcher.poll()).sort(), ['B', 'C']);
+    assert.deepStrictEqual(unmatched, ['tx3']);
+    assert.strictEqual(pool.transfers.get('tx1').status, 'matched');
+    assert.strictEqual(pool.transfers.get('tx3').status, 'unmatched');
+
+    // 2. 回看窗口内再次拉到同一笔交易不会重复入账
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.deepStrictEqual(matchedCalls.sort(), ['B', 'C']);
+
+    // 3. 处理失败的转账不留记录，下一轮重试
+    failNext = true;
+    provider.addTransfer({ txHash: 'tx4', to: WALLET, amount: '10.0012' });
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.ok(!pool.transfers.has('tx4'));
+    assert.deepStrictEqual(await watcher.poll(), ['A']);
+
+    // 4. 同一轮里有更晚的转账时，游标不越过失败的那笔 (否则它会落到回看窗口之外)
+    failNext = true;
+    provider.addTransfer({ txHash: 'tx5', to: WALLET, amount: '10.0055', timestamp: Date.now() - 60 * 1000 });
+    provider.addTransfer({ txHash: 'tx6', to: WALLET, amount: '99', timestamp: Date.now() + 30 * 60 * 1000 });
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.deepStrictEqual(await watcher.poll(), ['E']);
+
+    // 5. 匹配到订单但未入账的转账会触发 onRejected 提醒
+    provider.addTransfer({ txHash: 'tx7', to: DEDICATED, amount: '30', timestamp: Date.now() + 31 * 60 * 1000 });
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.strictEqual(pool.transfers.get('tx7').status, 'rejected');
+    assert.deepStrictEqual(rejected, [['F', 'amount_mismatch']]);
+};
+
+run().then(() => {
+    console.log('✅ 链上收款匹配自检通过');
+}).catch((e) => {
+    console.error('❌ 链上收款匹配自检失败:', e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+// ==========================================
+// 🧱 数据库迁移命令行
+//   npm run migrate -- status        查看每个迁移的执行状态
+//   npm run migrate -- up [版本号]    执行未完成的迁移 (可指定执行到哪个版本)
+//   npm run migrate -- down [步数]    回滚最近的迁移 (默认 1 步)
+//   npm run migrate -- down --to 版本号  回滚到指定版本 (保留该版本)
+// ==========================================
+const { Pool } = require('pg');
+const { createMigrator } = require('../lib/migrator');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+const migrator = createMigrator({ pool });
+
+const [command = 'status', ...args] = process.argv.slice(2);
+
+const printStatus = async () => {
+    const list = await migrator.status();
+    for (const m of list) {
+        const mark = m.missing ? '⚠️ 文件缺失' : (m.applied ? '✅ 已执行' : '⏳ 未执行');
+        const at = m.appliedAt ? ` (${new Date(m.appliedAt).toLocaleString()})` : '';
+        console.log(`${mark}  ${m.name}${at}`);
+    }
+    const pending = list.filter(m => !m.applied).length;
+    console.log(pending > 0 ? `共 ${list.length} 个迁移，${pending} 个未执行` : `共 ${list.length} 个迁移，全部已执行`);
+};
+
+(async () => {
+    try {
+        if (command === 'status') {
+            await printStatus();
+        } else if (command === 'up') {
+            const done = await migrator.up({ to: args[0] });
+            console.log(done.length > 0 ? `✅ 已执行 ${done.length} 个迁移` : '✅ 没有需要执行的迁移');
+        } else if (command === 'down') {
+            const toIdx = args.indexOf('--to');
+            const opts = toIdx >= 0 ? { to: args[toIdx + 1] } : { steps: parseInt(args[0] || '1') };
+            if (opts.to === undefined && (isNaN(opts.steps) || opts.steps < 1)) throw new Error('回滚步数必须是正整数');
+            if (toIdx >= 0 && !opts.to) throw new Error('--to 后面需要版本号');
+            const done = await migrator.down(opts);
+            console.log(done.length > 0 ? `✅ 已回滚 ${done.length} 个迁移` : '✅ 没有需要回滚的迁移');
+        } else {
+            throw new Error(`未知命令: ${command} (可用: status / up / down)`);
+        }
+    } catch (e) {
+        console.error('❌', e.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -0,0 +1,35 @@
+// ==========================================
+// 📒 余额对账脚本：npm run reconcile
+// 比对 users.balance 与账本分录之和，有差额时以非 0 退出码结束
+// ==========================================
+const { Pool } = require('pg');
+const { reconcile } = require('../lib/ledger');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+(async () => {
+    try {
+        const report = await reconcile(pool);
+        console.log(`共检查 ${report.checkedUsers} 个用户`);
+
+        if (report.drift.length) {
+            console.log(`❌ ${report.drift.length} 个用户余额与账本不一致:`);
+            console.table(report.drift);
+        }
+        if (report.unbalancedTransactions.length) {
+            console.log(`❌ ${report.unbalancedTransactions.length} 笔账务交易借贷不平:`);
+            console.table(report.unbalancedTransactions);
+        }
+        if (report.ok) console.log('✅ 对账通过');
+
+        process.exitCode = report.ok ? 0 : 1;
+    } catch (e) {
+        console.error('❌ 对账失败:', e.message);
+        process.exitCode = 2;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -13,8 +13,23 @@ const { Pool } = require('pg');
 const cloudinary = require('cloudinary').v2;
 const stream = require('stream');
 const cron = require('node-cron');
+const { createChainWatcher, createProvider } = require('./lib/chainWatcher');
+const ledger = require('./lib/ledger');
+const retention = require('./lib/retention');
+const { createMigrator } = require('./lib/migrator');
+const withdrawalPolicy = require('./lib/withdrawalPolicy');
+const commission = require('./lib/commission');
+const { createIdGenerator, nextUserId } = require('./lib/idGenerator');
+const productVariants = require('./lib/productVariants');
+const cardKeys = require('./lib/cardKeys');
+const inventory = require('./lib/inventory');
+const restock = require('./lib/restock');
+const promotions = require('./lib/promotions');
+const fx = require('./lib/fx');
+const paymentMethods = require('./lib/paymentMethods');
 
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
@@ -40,6 +55,24 @@ const loginLimiter = rateLimit({
 	legacyHeaders: false,
 });
 
+// 刷新令牌限流：15分钟最多60次 (单独计数，多标签页/共享出口 IP 的用户不会被登录限流误伤)
+const refreshLimiter = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 60,
+	message: { success: false, msg: "请求过于频繁，请稍后再试" },
+    standardHeaders: true,
+	legacyHeaders: false,
+});
+
+// 到货提醒登记限流：每小时最多20次
+const restockLimiter = rateLimit({
+	windowMs: 60 * 60 * 1000,
+	max: 20,
+	message: { success: false, msg: "登记过于频繁，请稍后再试" },
+    standardHeaders: true,
+	legacyHeaders: false,
+});
+
 // 定义全局限流器：1分钟最多200次请求 (防止DDoS)
 const apiLimiter = rateLimit({
 	windowMs: 1 * 60 * 1000, 
@@ -55,6 +88,30 @@ const DATABASE_URL = process.env.DATABASE_URL;
 const CLOUDINARY_CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME;
 const CLOUDINARY_API_KEY = process.env.CLOUDINARY_API_KEY;
 const CLOUDINARY_API_SECRET = process.env.CLOUDINARY_API_SECRET;
+// 用户会话签名密钥 (未配置时由 ADMIN_TOKEN 派生，建议单独配置)
+const USER_TOKEN_SECRET = process.env.USER_TOKEN_SECRET || crypto.createHash('sha256').update('nexus-user:' + ADMIN_TOKEN).digest('hex');
+const ACCESS_TOKEN_TTL = 2 * 60 * 60; // 访问令牌有效期：2小时 (秒)
+const REFRESH_TOKEN_TTL_DAYS = 30; // 刷新令牌有效期：30天
+const ADMIN_TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.createHash('sha256').update('nexus-admin:' + ADMIN_TOKEN).digest('hex');
+const ADMIN_TOKEN_TTL = 12 * 60 * 60; // 后台令牌有效期：12小时 (秒)
+// USDT 回调验签配置 (Epusdt 风格：参数排序后 MD5 或 HMAC-SHA256)
+const USDT_NOTIFY_SECRET = process.env.USDT_NOTIFY_SECRET;
+const USDT_NOTIFY_SIGN_TYPE = (process.env.USDT_NOTIFY_SIGN_TYPE || 'md5').toLowerCase();
+const USDT_NOTIFY_MAX_AGE = parseInt(process.env.USDT_NOTIFY_MAX_AGE || '300'); // 时间戳允许偏差 (秒)
+const USDT_NOTIFY_IP_WHITELIST = (process.env.USDT_NOTIFY_IP_WHITELIST || '').split(',').map(ip => ip.trim()).filter(Boolean);
+// 链上收款监听 (可选)：trongrid / etherscan / mock
+const CHAIN_WATCHER_PROVIDER = process.env.CHAIN_WATCHER_PROVIDER;
+const CHAIN_WATCHER_INTERVAL = parseInt(process.env.CHAIN_WATCHER_INTERVAL || '30'); // 轮询间隔 (秒)
+// 每单独立收款地址池 (逗号分隔)，用完后回退到 walletAddress + 金额尾数
+const CHAIN_DEPOSIT_ADDRESSES = (process.env.CHAIN_DEPOSIT_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean);
+// 订单号前缀 (不能包含下划线)，充值订单默认与商品订单相同
+const ORDER_ID_PREFIX = process.env.ORDER_ID_PREFIX || 'XAW';
+const RECHARGE_ID_PREFIX = process.env.RECHARGE_ID_PREFIX || ORDER_ID_PREFIX;
+// 数据保留策略使用导出文件模式时的输出目录
+const RETENTION_EXPORT_DIR = process.env.RETENTION_EXPORT_DIR || path.join(__dirname, 'archive');
+// 汇率自动更新 (可选)：file 读取本地 JSON 文件，http 请求汇率接口；只更新后台开启了自动更新的币种
+const FX_PROVIDER = process.env.FX_PROVIDER;
+const FX_UPDATE_INTERVAL = parseInt(process.env.FX_UPDATE_INTERVAL || '60'); // 更新间隔 (分钟)
 
 if (CLOUDINARY_CLOUD_NAME && CLOUDINARY_API_KEY && CLOUDINARY_API_SECRET) {
     cloudinary.config({
@@ -75,9 +132,19 @@ io.on('connection', (socket) => {
     console.log('用户已连接:', socket.id);
 
     // 客户端加入房间 (房间号就是 session_id)
-    socket.on('join_room', (room) => {
-        socket.join(room);
-        console.log(`Socket ${socket.id} 加入房间: ${room}`);
+    // 【修改】user_<id> 房间会推送卡密等订单信息，需带令牌 (join_room 第二个参数或连接时的 auth.token)
+    socket.on('join_room', async (room, token) => {
+        try {
+            const authToken = token || (socket.handshake.auth && socket.handshake.auth.token);
+            if (!(await canAccessChatSession(room, authToken))) {
+                console.log(`⚠️ Socket ${socket.id} 无权加入房间: ${room}`);
+                return;
+            }
+            socket.join(room);
+            console.log(`Socket ${socket.id} 加入房间: ${room}`);
+        } catch (e) {
+            console.error("Join Room Error:", e);
+        }
     });
 
  socket.on('disconnect', () => {
@@ -95,142 +162,36 @@ const pool = new Pool({
     ssl: { rejectUnauthorized: false }
 });
 
-const initDB = async () => {
-    try {
-        const client = await pool.connect();
-        
-       // 1. 用户表 (修改：增加 invite_code 和 invited_by)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id BIGINT PRIMARY KEY,
-                contact TEXT NOT NULL,
-                password TEXT NOT NULL,
-                balance NUMERIC(10, 4) DEFAULT 0,
-                invite_code TEXT, 
-                invited_by BIGINT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-        // 2. 订单表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS orders (
-                order_id TEXT PRIMARY KEY,
-                user_id BIGINT,
-                product_name TEXT,
-                payment_method TEXT,
-                usdt_amount NUMERIC(10, 4),
-                cny_amount NUMERIC(10, 2),
-                status TEXT DEFAULT '待支付',
-                shipping_info TEXT,
-                tracking_number TEXT,
-                qrcode_url TEXT,
-                proof TEXT,
-                wallet TEXT, 
-                expires_at TIMESTAMP,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-        // 3. 提现表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS withdrawals (
-                id SERIAL PRIMARY KEY,
-                user_id BIGINT,
-                amount NUMERIC(10, 4),
-                address TEXT,
-                status TEXT DEFAULT '处理中',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-        // 4. 商品表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS products (
-                id BIGINT PRIMARY KEY,
-                name TEXT NOT NULL,
-                price NUMERIC(10, 2) NOT NULL,
-                stock INT DEFAULT 0,
-                category TEXT,
-                type TEXT,
-                description TEXT,
-                image_url TEXT,
-                is_pinned BOOLEAN DEFAULT FALSE
-            );
-        `);
-
-        // 5. 招聘表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS hiring (
-                id SERIAL PRIMARY KEY,
-                title TEXT,
-                content TEXT,
-                contact TEXT
-            );
-        `);
-
-        // 6. 聊天记录表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS chats (
-                id SERIAL PRIMARY KEY,
-                session_id TEXT NOT NULL,
-                sender TEXT,
-                content TEXT,
-                msg_type TEXT,
-                is_read BOOLEAN DEFAULT FALSE,
-                is_initiate BOOLEAN DEFAULT FALSE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-       // 7. 系统设置表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS settings (
-                key TEXT PRIMARY KEY,
-                value TEXT
-            );
-        `);
-		
-		// [新增] 8. 分类排序表
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS categories (
-                name TEXT PRIMARY KEY,
-                priority INT DEFAULT 0
-            );
-        `);
-
-       // 8. 资金明细表 (替换审计日志)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS balance_logs (
-                id SERIAL PRIMARY KEY,
-                user_id BIGINT,
-                type TEXT, 
-                amount NUMERIC(10, 4),
-                remark TEXT,
-                balance_after NUMERIC(10, 4), 
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        // 自动修复旧表结构（防止报错）
-        try { await client.query("ALTER TABLE balance_logs ADD COLUMN IF NOT EXISTS balance_after NUMERIC(10, 4)"); } catch(e){}
+// 订单号生成器 (共用一个序列，按生成时间排序，带校验位)
+const orderIds = createIdGenerator({ sequence: 'order_id_seq', prefix: ORDER_ID_PREFIX });
+const rechargeIds = createIdGenerator({ sequence: 'order_id_seq', prefix: RECHARGE_ID_PREFIX });
 
-        // 初始化默认设置
-        const defaults = [
-            ['rate', '7.0'],
-            ['feeRate', '0'],
-            ['announcement', '欢迎来到 NEXUS 商城'],
-            ['popup', 'true'],
-            ['walletAddress', '请联系客服获取地址']
-        ];
+// 表结构由 migrations/ 目录下的迁移文件维护，启动时自动执行
+const migrator = createMigrator({ pool });
 
-        for (const [k, v] of defaults) {
-            await client.query(`INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [k, v]);
-        }
+// 初始数据：默认管理员 + 默认设置 (每次启动执行，已存在的不覆盖)
+const seedDB = async () => {
+    // 首次启动：没有任何管理员时，创建 owner 账号 admin，初始密码为 ADMIN_TOKEN
+    const adminCount = await pool.query('SELECT COUNT(*) FROM admins');
+    if (parseInt(adminCount.rows[0].count) === 0) {
+        await pool.query("INSERT INTO admins (username, password, role) VALUES ('admin', $1, 'owner')", [await bcrypt.hash(ADMIN_TOKEN, 10)]);
+        console.log("👤 已创建默认管理员 admin (owner)，请登录后台修改密码");
+    }
 
-        console.log("✅ 数据库表结构初始化完成");
-        client.release();
-} catch (err) {
-        console.error("❌ 数据库初始化失败:", err);
+    // 初始化默认设置
+    const defaults = [
+        ['rate', '7.0'],
+        ['feeRate', '0'],
+        ['announcement', '欢迎来到 NEXUS 商城'],
+        ['popup', 'true'],
+        ['walletAddress', '请联系客服获取地址'],
+        ...retention.defaultSettings(),
+        ...withdrawalPolicy.defaultSettings(),
+        ...commission.defaultSettings()
+    ];
+
+    for (const [k, v] of defaults) {
+        await pool.query(`INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [k, v]);
     }
 };
 
@@ -257,8 +218,10 @@ const broadcastGlobalUpdate = async () => {
         const categories = distinctCats.sort((a, b) => (pMap[b] || 0) - (pMap[a] || 0));
 
         io.emit('global_update', {
-            products: prods.rows,
+            products: await productVariants.attachVariants(pool, prods.rows, { activeOnly: true }),
             categories,
+            currencies: await publicCurrencies(),
+            paymentMethods: await publicPaymentMethods(),
             // [新增] 推送更多数据
             hiring: hiring.rows,
             showPopup: popup === 'true',
@@ -270,43 +233,54 @@ const broadcastGlobalUpdate = async () => {
     } catch(e) { console.error("Broadcast Error", e); }
 };
 
-// 🕒 定时任务：每1.5小时随机减少库存 (随机范围 1-5)
-setInterval(async () => {
-    try {
-        // 使用 SQL 的 random() 函数，让每一行商品减去的库存数都不同
-        await pool.query(`
-            UPDATE products 
-            SET stock = GREATEST(0, stock - floor(random() * 5 + 1)::int) 
-            WHERE stock > 0
-        `);
-        console.log(`📉 自动减库存: 所有商品已随机减少 1-5 个库存`);
-        broadcastGlobalUpdate(); // 广播更新
-    } catch(e) { console.error("Auto Reduce Stock Error", e); }
-}, 90 * 60 * 1000); // 90分钟 = 1.5小时
-
-// 🕒 定时任务：每天凌晨0点清理3天前的“非核心”数据
+// 🕒 定时任务：每天0点按数据保留策略归档过期数据 (保留天数在后台配置)
+// ⚠️ admin_audit_logs (审计日志)、账本分录永久保留，不在清理范围内
 cron.schedule('0 0 * * *', async () => {
     try {
-        console.log('🔄 开始每日数据清理...');
-        
-        // 1. 清理旧订单 (3天前) - 对应前端"订单"
-        await pool.query("DELETE FROM orders WHERE created_at < NOW() - INTERVAL '3 days'");
-        
-        // 2. 清理旧提现记录 (3天前) - 对应前端"提现记录"
-        await pool.query("DELETE FROM withdrawals WHERE created_at < NOW() - INTERVAL '3 days'");
-        
-        // 3. 清理旧聊天记录 (3天前) - 对应客服聊天
-        await pool.query("DELETE FROM chats WHERE created_at < NOW() - INTERVAL '3 days'");
-        
-        // 4. 清理旧资金明细 (3天前) - 对应前端"资金明细"
-        // 注意：这只会删除流水记录，不会影响用户的当前余额(balance)
-        await pool.query("DELETE FROM balance_logs WHERE created_at < NOW() - INTERVAL '7 days'");
+        // 幂等键只需保留一天
+        await pool.query("DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '1 day'");
+
+        console.log('🔄 开始每日数据归档...');
+        const result = await retention.purge(pool, { exportDir: RETENTION_EXPORT_DIR });
+        const done = result.tables.filter(t => t.count > 0);
+        console.log(`✅ 归档完成：${done.map(t => `${t.label} ${t.count}`).join('，') || '无过期数据'}`);
+        if (done.length > 0) {
+            const lines = done.map(t => `${t.label} (${t.days}天前): ${t.count} 条${t.file ? `\n  → ${t.file}` : ''}`);
+            sendTgNotify(`🗄️ <b>每日数据归档 (${result.mode === 'export' ? '导出文件' : '归档表'})</b>\n${lines.join('\n')}`);
+        }
+    } catch (e) {
+        console.error('❌ 归档失败:', e);
+    }
+});
+// 🕒 定时任务：每分钟关闭超时未支付的订单 (恢复库存、退回余额抵扣、通知用户)
+cron.schedule('* * * * *', async () => {
+    try {
+        const expired = await pool.query("SELECT order_id FROM orders WHERE status = '待支付' AND expires_at < NOW() ORDER BY expires_at ASC LIMIT 100");
+        if (expired.rows.length === 0) return;
+
+        const closed = [];
+        for (const row of expired.rows) {
+            try {
+                const result = await runOrderTransition(row.order_id, 'expire', { actor: 'system', note: '超时未支付，自动关闭' });
+                closed.push(result.order);
+            } catch (e) {
+                console.error(`关闭超时订单 ${row.order_id} 失败:`, e.message);
+            }
+        }
 
-        console.log('✅ 清理完成：已删除3天前的 [订单/提现/聊天/流水]');
+        if (closed.length > 0) {
+            const lines = closed.map(o => {
+                const refund = parseFloat(o.balance_paid || 0);
+                return `<code>${o.order_id}</code> 用户 ${o.user_id}${refund > 0 ? ` 退回余额 ${refund.toFixed(4)}` : ''}`;
+            });
+            sendTgNotify(`⏰ <b>超时订单已自动关闭 (${closed.length} 笔)</b>\n${lines.join('\n')}`);
+            console.log(`⏰ 已关闭 ${closed.length} 笔超时订单`);
+        }
     } catch (e) {
-        console.error('❌ 清理失败:', e);
+        console.error('❌ 超时订单处理失败:', e);
     }
 });
+
 // ☁️ 辅助函数：上传图片到 Cloudinary
 const uploadToCloud = (buffer) => {
     return new Promise((resolve, reject) => {
@@ -321,6 +295,17 @@ const uploadToCloud = (buffer) => {
     });
 };
 
+// 下载群里发的图片/文件 (用于转存到 Cloudinary)
+const downloadTgFile = (fileId) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        bot.getFileStream(fileId)
+            .on('data', (chunk) => chunks.push(chunk))
+            .on('end', () => resolve(Buffer.concat(chunks)))
+            .on('error', reject);
+    });
+};
+
 // 数据库辅助函数
 const getSetting = async (key) => {
     const res = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
@@ -330,6 +315,99 @@ const setSetting = async (key, value) => {
     await pool.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', [key, value.toString()]);
 };
 
+// ==========================================
+// 💱 汇率
+// ==========================================
+
+// 前端展示用的币种列表
+const publicCurrencies = async () => (await fx.listRates(pool, { activeOnly: true })).map(r => ({
+    currency: r.currency, rate: parseFloat(r.rate), feeRate: parseFloat(r.fee_rate), methods: r.methods
+}));
+
+// [新增] 前端展示用的支付方式 (只返回启用的，不含收款码池等内部信息)
+const publicPaymentMethods = async () => (await paymentMethods.listMethods(pool, { activeOnly: true })).map(m => ({
+    code: m.code, name: m.name, type: m.type,
+    minAmount: m.min_amount !== null ? parseFloat(m.min_amount) : null,
+    maxAmount: m.max_amount !== null ? parseFloat(m.max_amount) : null,
+    feeRate: parseFloat(m.fee_rate), feeFixed: parseFloat(m.fee_fixed), instructions: m.instructions
+}));
+
+// 订单法币金额快照：支付方式对应币种的汇率/手续费/金额，cnyAmount 为兼容旧字段 cny_amount 的人民币金额
+const quoteOrderFiat = async (db, usdtAmount, method) => {
+    const q = await fx.quote(db, { usdtAmount, method });
+    const cny = q.currency === fx.DEFAULT_CURRENCY ? q : await fx.quote(db, { usdtAmount, method: fx.DEFAULT_CURRENCY });
+    return { ...q, cnyAmount: cny.fiatAmount.toFixed(2) };
+};
+
+const fxUpdater = FX_PROVIDER ? fx.createFxUpdater({
+    pool,
+    provider: fx.createFxProvider(FX_PROVIDER, {
+        file: process.env.FX_RATES_FILE,
+        url: process.env.FX_RATES_URL,
+        apiKey: process.env.FX_RATES_API_KEY
+    }),
+    onChange: async ({ changed, skipped }) => {
+        const lines = changed.map(c => `• ${c.currency}: ${c.from} → ${c.to}`);
+        skipped.forEach(c => lines.push(`⚠️ ${c.currency}: ${c.from} → ${c.to} 变动超过 ${fx.MAX_AUTO_CHANGE_PERCENT}%，未自动更新`));
+        sendTgNotify(`💱 <b>汇率自动更新</b>\n${lines.join('\n')}`);
+        if (changed.length > 0) await broadcastGlobalUpdate();
+    }
+}) : null;
+
+// ==========================================
+// ⛓️ USDT 收款地址与唯一金额分配
+// ==========================================
+const chainWatcher = CHAIN_WATCHER_PROVIDER ? createChainWatcher({
+    pool,
+    provider: createProvider(CHAIN_WATCHER_PROVIDER, {
+        apiKey: process.env.CHAIN_WATCHER_API_KEY,
+        baseUrl: process.env.CHAIN_WATCHER_API_URL,
+        file: process.env.CHAIN_MOCK_FILE
+    }),
+    // 监听当前收款地址 + 所有待支付订单用到的地址
+    getAddresses: async () => {
+        const res = await pool.query("SELECT DISTINCT wallet FROM orders WHERE status IN ('待支付', '待审核') AND wallet IS NOT NULL");
+        const wallet = await getSetting('walletAddress');
+        return [...new Set([wallet, ...res.rows.map(r => r.wallet)])].filter(w => w && w.length > 10);
+    },
+    onMatched: (orderId, tx) => applyUsdtPayment(orderId, tx.amount, `链上到账 ${tx.txHash}`),
+    onUnmatched: (tx) => sendTgNotify(`⚠️ <b>未匹配的链上转账</b>\n金额: ${tx.amount} USDT\n地址: <code>${tx.to}</code>\nTx: <code>${tx.txHash}</code>\n请人工核对`),
+    // [新增] 匹配到订单但未入账 (订单已处理 / 金额不符)，可能是重复支付，需要人工核对
+    onRejected: (orderId, tx, result) => sendTgNotify(`⚠️ <b>链上转账未入账</b>\n单号: <code>${orderId}</code>\n原因: ${result && result.reason ? result.reason : '未知'}\n金额: ${tx.amount} USDT\n地址: <code>${tx.to}</code>\nTx: <code>${tx.txHash}</code>\n请人工核对`)
+}) : null;
+
+// 为 USDT 订单分配收款地址和唯一金额 (需在事务中调用)
+// 优先使用空闲的独立收款地址；否则在 walletAddress 上给金额加 0.0001~0.0099 的唯一尾数
+const allocateUsdtPayment = async (client, baseAmount) => {
+    const wallet = await getSetting('walletAddress');
+    if (!chainWatcher) return { wallet, usdtAmount: baseAmount };
+
+    // 串行化分配，防止并发下单拿到同一个金额
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('usdt_payment_alloc'))");
+
+    if (CHAIN_DEPOSIT_ADDRESSES.length > 0) {
+        const usedRes = await client.query("SELECT DISTINCT wallet FROM orders WHERE status IN ('待支付', '待审核') AND wallet = ANY($1)", [CHAIN_DEPOSIT_ADDRESSES]);
+        const used = new Set(usedRes.rows.map(r => r.wallet));
+        const free = CHAIN_DEPOSIT_ADDRESSES.find(a => !used.has(a));
+        if (free) return { wallet: free, usdtAmount: baseAmount };
+    }
+
+    const baseUnits = Math.round(baseAmount * 10000);
+    const takenRes = await client.query(
+        "SELECT usdt_amount FROM orders WHERE status IN ('待支付', '待审核') AND wallet = $1 AND usdt_amount >= $2 AND usdt_amount < $3",
+        [wallet, (baseUnits / 10000).toFixed(4), ((baseUnits + 100) / 10000).toFixed(4)]
+    );
+    const taken = new Set(takenRes.rows.map(r => Math.round(parseFloat(r.usdt_amount) * 10000)));
+    const free = [];
+    for (let i = 1; i < 100; i++) {
+        if (!taken.has(baseUnits + i)) free.push(baseUnits + i);
+    }
+    if (free.length === 0) throw new Error('当前待支付订单过多，请稍后再试');
+
+    const units = free[Math.floor(Math.random() * free.length)];
+    return { wallet, usdtAmount: units / 10000 };
+};
+
 
 // ==========================================
 // 🤖 Telegram 机器人逻辑
@@ -357,6 +435,33 @@ bot.on('message', async (msg) => {
 
     // --- 管理员指令 ---
 
+    // 回复提现申请消息：登记打款交易哈希或打款截图
+    if (msg.reply_to_message && msg.reply_to_message.from && msg.reply_to_message.from.is_bot) {
+        const wdRes = await pool.query('SELECT id FROM withdrawals WHERE tg_message_id = $1', [msg.reply_to_message.message_id]);
+        if (wdRes.rows.length > 0) {
+            const wdId = wdRes.rows[0].id;
+            try {
+                const txHash = extractTxHash(text || msg.caption || '');
+                let proofUrl = null;
+                if (msg.photo && msg.photo.length > 0) {
+                    proofUrl = await uploadToCloud(await downloadTgFile(msg.photo[msg.photo.length - 1].file_id));
+                }
+                if (!txHash && !proofUrl) {
+                    bot.sendMessage(chatId, "❌ 请回复打款交易哈希或打款截图", { reply_to_message_id: msg.message_id });
+                    return;
+                }
+                await recordWithdrawalPayout(wdId, { txHash, proofUrl }, tgActor(msg.from));
+                const lines = [`🧾 <b>提现 ${wdId} 打款凭证已登记</b>`];
+                if (txHash) lines.push(`交易哈希: <code>${txHash}</code>`);
+                if (proofUrl) lines.push('打款截图已保存');
+                bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'HTML', reply_to_message_id: msg.message_id });
+            } catch (e) {
+                bot.sendMessage(chatId, "❌ " + e.message, { reply_to_message_id: msg.message_id });
+            }
+            return;
+        }
+    }
+
     // /bz 帮助
     if (text === '/bz' || text === '/help') {
         const helpMsg = `
@@ -364,10 +469,10 @@ bot.on('message', async (msg) => {
 ━━━━━━━━━━━━━━
 1. <b>/ck</b> - 查看数据统计
 2. <b>/qc</b> - ⚠️ 清空所有数据
-3. <b>设置汇率 [数值]</b>
-4. <b>设置手续费 [数值]</b>
+3. <b>设置汇率 [币种] [数值]</b> - 币种默认 CNY
+4. <b>设置手续费 [币种] [数值]</b>
 5. <b>设置钱包 [地址]</b> - 修改USDT收款地址
-6. <b>/fix_db</b> - 修复数据库字段缺失
+6. <b>/dz</b> - 余额对账 (余额 vs 账本)
         `;
         bot.sendMessage(chatId, helpMsg, { parse_mode: 'HTML' });
     }
@@ -474,6 +579,27 @@ ${cloudInfo}${cloudBar}
         }
     }
 
+    // /dz 余额对账
+    else if (text === '/dz') {
+        try {
+            const report = await ledger.reconcile(pool);
+            if (report.ok) {
+                bot.sendMessage(chatId, `✅ <b>对账通过</b>\n共检查 ${report.checkedUsers} 个用户，余额与账本一致`, { parse_mode: 'HTML' });
+            } else {
+                const lines = report.drift.slice(0, 20).map(d =>
+                    `ID ${d.user_id} (${d.contact || '-'}): 余额 ${d.balance} / 账本 ${d.ledger_total} / 差额 <b>${d.drift}</b>`
+                );
+                let msgText = `🚨 <b>对账异常</b>\n共检查 ${report.checkedUsers} 个用户，${report.drift.length} 个余额不一致`;
+                if (lines.length) msgText += `\n━━━━━━━━━━━━━━\n${lines.join('\n')}`;
+                if (report.drift.length > lines.length) msgText += `\n... 其余 ${report.drift.length - lines.length} 个省略`;
+                if (report.unbalancedTransactions.length) msgText += `\n⚠️ 借贷不平的账务交易: ${report.unbalancedTransactions.map(t => t.txn_id).join(', ')}`;
+                bot.sendMessage(chatId, msgText, { parse_mode: 'HTML' });
+            }
+        } catch (e) {
+            bot.sendMessage(chatId, "❌ 对账失败: " + e.message);
+        }
+    }
+
     // /qc 清空数据
     else if (text === '/qc') {
         const opts = {
@@ -488,23 +614,24 @@ ${cloudInfo}${cloudBar}
         bot.sendMessage(chatId, "⚠️ <b>高危操作：请选择清理模式</b>", { parse_mode: 'HTML', ...opts });
     }
 
-  // 设置汇率
-    else if (text.startsWith('设置汇率 ')) {
-        const val = parseFloat(text.split(' ')[1]);
-        if (!isNaN(val)) {
-            await setSetting('rate', val);
-            bot.sendMessage(chatId, `✅ 汇率已设为: ${val}`);
-            await broadcastGlobalUpdate(); // [新增]
-        }
-    }
-
-    // 设置手续费
-    else if (text.startsWith('设置手续费 ')) {
-        const val = parseFloat(text.split(' ')[1]);
+  // 设置汇率 / 设置手续费：[币种] 可省略，默认 CNY (写入汇率历史)
+    else if (text.startsWith('设置汇率 ') || text.startsWith('设置手续费 ')) {
+        const isRate = text.startsWith('设置汇率 ');
+        const parts = text.split(/\s+/).slice(1);
+        const currency = parts.length > 1 ? parts[0] : fx.DEFAULT_CURRENCY;
+        const val = parseFloat(parts[parts.length - 1]);
         if (!isNaN(val)) {
-            await setSetting('feeRate', val);
-            bot.sendMessage(chatId, `✅ 手续费已设为: ${val}%`);
-            await broadcastGlobalUpdate(); // [新增]
+            try {
+                const actor = tgActor(msg.from);
+                const { before, after } = await fx.setRate(pool, {
+                    currency, [isRate ? 'rate' : 'feeRate']: val, actor: `telegram:${actor.id}`
+                });
+                await logAudit(pool, actor, isRate ? 'fx.rate' : 'fx.feeRate', 'fx_rate', after.currency, before, after);
+                bot.sendMessage(chatId, isRate ? `✅ ${after.currency} 汇率已设为: ${val}` : `✅ ${after.currency} 手续费已设为: ${val}%`);
+                await broadcastGlobalUpdate(); // [新增]
+            } catch (e) {
+                bot.sendMessage(chatId, `❌ ${e.message}`);
+            }
         }
     }
 
@@ -512,90 +639,92 @@ ${cloudInfo}${cloudBar}
     else if (text.startsWith('设置钱包 ')) {
         const addr = text.split(' ')[1];
         if (addr && addr.length > 10) {
+            const old = await getSetting('walletAddress');
             await setSetting('walletAddress', addr);
+            await logAudit(pool, tgActor(msg.from), 'setting.walletAddress', 'setting', 'walletAddress', old, addr);
             bot.sendMessage(chatId, `✅ <b>收款地址已更新</b>\n<code>${addr}</code>`, {parse_mode:'HTML'});
             await broadcastGlobalUpdate(); // [新增]
         } else {
             bot.sendMessage(chatId, "❌ 地址格式不对");
         }
     }
-
-// 数据库修复 (防止 wallet 字段报错)
-    else if (text === '/fix_db') {
-        try {
-            await pool.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS wallet TEXT;');
-            await pool.query('ALTER TABLE chats ADD COLUMN IF NOT EXISTS msg_type TEXT;');
-            
-            // [新增] 修复缺失的 source 字段，防止报错
-            await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS source TEXT;');
-            await pool.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS source TEXT;');
-            await pool.query('ALTER TABLE chats ADD COLUMN IF NOT EXISTS source TEXT;');
-
-            bot.sendMessage(chatId, "✅ 数据库字段修复完成");
-        } catch(e) { bot.sendMessage(chatId, "❌ " + e.message); }
-    }
 });
 bot.on('callback_query', async (callbackQuery) => {
     const action = callbackQuery.data;
     const msg = callbackQuery.message;
     const chatId = msg.chat.id;
+    const actor = tgActor(callbackQuery.from);
 
     try {
         if (action === 'qc_transactions') {
-            await pool.query('TRUNCATE orders, withdrawals');
+            // 先记审计再清空，确保高危操作一定留痕
+            await logAudit(pool, actor, 'qc.transactions', 'database', 'orders,withdrawals');
+            await pool.query('TRUNCATE orders, order_items, order_events, refunds, withdrawals, idempotency_keys, coupon_redemptions');
+            await pool.query('UPDATE coupons SET used_count = 0');
+            // 订单已清空，待支付订单占用的库存一并归还
+            await pool.query('UPDATE products SET stock = stock + reserved, reserved = 0 WHERE reserved > 0 AND NOT auto_delivery');
+            await pool.query('UPDATE product_variants v SET stock = stock + reserved, reserved = 0 FROM products p WHERE p.id = v.product_id AND v.reserved > 0 AND NOT p.auto_delivery');
+            await pool.query("UPDATE card_keys SET status = 'available', order_id = NULL, order_item_id = NULL, reserved_at = NULL WHERE status = 'reserved'");
+            const autoRes = await pool.query('SELECT id FROM products WHERE auto_delivery');
+            for (const p of autoRes.rows) await cardKeys.refreshStock(pool, p.id);
             await bot.editMessageText("🧹 <b>交易数据（订单、提现）已清空！</b>\n用户和聊天记录保留。", { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML' });
         } else if (action === 'qc_everything') {
-            await pool.query('TRUNCATE users, orders, products, hiring, chats, withdrawals, settings');
+            await logAudit(pool, actor, 'qc.everything', 'database', 'users,orders,products,hiring,chats,withdrawals,settings');
+            // 支付方式 (payment_methods) 与汇率一样属于基础配置，只在迁移中初始化，这里保留不清空
+            await pool.query('TRUNCATE users, orders, order_items, order_events, refunds, products, product_variants, card_keys, inventory_movements, restock_subscriptions, coupon_redemptions, coupons, payment_qr_codes, hiring, chats, withdrawals, settings, ledger_entries, ledger_transactions, referral_commissions');
             await bot.editMessageText("💥 <b>数据库已完全重置！</b>\n所有数据已永久删除。", { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML' });
         } else if (action === 'qc_cancel') {
             await bot.editMessageText("✅ 操作已取消", { chat_id: chatId, message_id: msg.message_id });
         
         // ================= 提现确认 =================
         } else if (action.startsWith('wd_confirm_')) {
-            const parts = action.split('_');
-            const wdId = parts[2];
-            const userId = parts[3];
-
-            await pool.query("UPDATE withdrawals SET status = '已完成' WHERE id = $1", [wdId]);
-            
-            const notifySid = `user_${userId}`;
-            const content = '✅ 您的提现已处理，请查收。';
-            
-           // 🟢 1. 插入时获取时间 (RETURNING created_at)
-            const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
-            
-            // 🟢 2. [新增] 立即广播给前端
-            io.to(notifySid).emit('new_message', { 
-                session_id: notifySid, 
-                sender: 'admin', 
-                content: content, 
-                msg_type: 'text',
-                created_at: resDb.rows[0].created_at 
-            });
+            const wdId = action.split('_')[2];
+            const result = await processWithdrawal(wdId, true, { id: `tg:${actor.id}`, name: actor.name }, actor);
+
+            const opts = { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML' };
+            let mark;
+            if (result.done) {
+                mark = `✅ <b>已打款</b> (${result.approvers.join(' / ')})`;
+                opts.reply_markup = { inline_keyboard: [] };
+            } else {
+                // 需要复核：保留按钮，等待另一位管理员
+                mark = `☑️ <b>${actor.name} 已审批</b>，还需 ${result.remaining} 位管理员复核`;
+                opts.reply_markup = msg.reply_markup;
+            }
+            const newCaption = (msg.caption || msg.text) + "\n\n" + mark;
+            if (msg.caption) await bot.editMessageCaption(newCaption, opts);
+            else await bot.editMessageText(newCaption, opts);
 
-            // 【新增】告诉前端刷新提现列表状态（变更为已完成）
-            io.to(notifySid).emit('order_update');
+        // ================= 提现驳回 =================
+        } else if (action.startsWith('wd_reject_')) {
+            const wdId = action.split('_')[2];
+            await processWithdrawal(wdId, false, { id: `tg:${actor.id}`, name: actor.name }, actor);
 
-            const newCaption = msg.caption ? msg.caption + "\n\n✅ <b>已打款</b>" : msg.text + "\n\n✅ <b>已打款</b>";
+            const newCaption = (msg.caption || msg.text) + `\n\n❌ <b>已驳回</b> (${actor.name})`;
             const opts = { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } };
             if (msg.caption) await bot.editMessageCaption(newCaption, opts);
             else await bot.editMessageText(newCaption, opts);
 
-        // ================= 提现驳回 =================
-        } else if (action.startsWith('wd_reject_')) {
+        // ================= 退款审批 =================
+        } else if (action.startsWith('rf_approve_') || action.startsWith('rf_reject_')) {
+            const approve = action.startsWith('rf_approve_');
+            const refundId = action.split('_')[2];
+
+            await processRefundRequest(refundId, approve, `tg:${actor.id}`, actor);
+
+            const mark = approve ? `✅ <b>已退款</b> (${actor.name})` : `❌ <b>已拒绝</b> (${actor.name})`;
+            await bot.editMessageText(`${msg.text}\n\n${mark}`, { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } });
+
+        // ================= 支付确认 =================
+        } else if (action.startsWith('pay_confirm_')) {
             const parts = action.split('_');
-            const wdId = parts[2];
+            const orderId = parts[2];
             const userId = parts[3];
-            const amount = parseFloat(parts[4]);
 
-            await pool.query("UPDATE withdrawals SET status = '已驳回' WHERE id = $1", [wdId]);
-            await pool.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [amount, userId]);
-            
-            // 记录资金明细
-            await logBalance(pool, userId, '提现退回', amount, `提现申请(ID:${wdId})被驳回`);
+            await confirmOrderPaid(orderId, { actor: `tg:${actor.id}`, note: '群内确认收款', audit: actor });
 
            const notifySid = `user_${userId}`;
-            const content = '❌ 您的提现已被驳回，资金已退回余额。';
+            const content = '✅ 您的支付已确认，订单正在处理中。';
 
             // 🟢 1. 插入时获取时间
             const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
@@ -609,51 +738,8 @@ bot.on('callback_query', async (callbackQuery) => {
                 created_at: resDb.rows[0].created_at 
             });
 
-            // 【新增】告诉前端刷新余额 (因为钱退回来了)
-            io.to(notifySid).emit('order_update');
-
-            const newCaption = msg.caption ? msg.caption + "\n\n❌ <b>已驳回</b>" : msg.text + "\n\n❌ <b>已驳回</b>";
-            const opts = { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } };
-            if (msg.caption) await bot.editMessageCaption(newCaption, opts);
-            else await bot.editMessageText(newCaption, opts);
-
-        // ================= 支付确认 =================
-        } else if (action.startsWith('pay_confirm_')) {
-            const parts = action.split('_');
-            const orderId = parts[2];
-            const userId = parts[3];
-
-            const orderRes = await pool.query("SELECT * FROM orders WHERE order_id = $1", [orderId]);
-            const order = orderRes.rows[0];
-
-            if (order && order.status !== '已支付') {
-                await pool.query("UPDATE orders SET status = '已支付' WHERE order_id = $1", [orderId]);
-                
-                if (order.product_name === '余额充值') {
-                    await pool.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [parseFloat(order.usdt_amount), userId]);
-                }
-
-               const notifySid = `user_${userId}`;
-                const content = '✅ 您的支付已确认，订单正在处理中。';
-
-                // 🟢 1. 插入时获取时间
-                const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
-
-                // 🟢 2. [新增] 立即广播给前端
-                io.to(notifySid).emit('new_message', { 
-                    session_id: notifySid, 
-                    sender: 'admin', 
-                    content: content, 
-                    msg_type: 'text', 
-                    created_at: resDb.rows[0].created_at 
-                });
-
-                // 【新增】告诉前端刷新余额和订单状态
-                io.to(notifySid).emit('order_update');
-
-                const newCaption = msg.caption ? msg.caption + "\n\n✅ <b>已确认收款</b>" : "✅ <b>已确认收款</b>";
-                await bot.editMessageCaption(newCaption, { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } });
-            }
+            const newCaption = msg.caption ? msg.caption + "\n\n✅ <b>已确认收款</b>" : "✅ <b>已确认收款</b>";
+            await bot.editMessageCaption(newCaption, { chat_id: chatId, message_id: msg.message_id, parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } });
 
 // ================= 支付驳回 (修改版) =================
         } else if (action.startsWith('pay_reject_')) {
@@ -661,7 +747,7 @@ bot.on('callback_query', async (callbackQuery) => {
             const orderId = parts[2];
             const userId = parts[3];
 
-            await pool.query("UPDATE orders SET status = '待支付', proof = NULL WHERE order_id = $1", [orderId]);
+            await runOrderTransition(orderId, 'reject_proof', { actor: `tg:${actor.id}`, note: '款项未收到', fields: { proof: null }, audit: actor });
 
             const notifySid = `user_${userId}`;
             const rejectMsg = `❌ 订单 ${orderId} 支付核实失败。\n原因：客服反应这笔款项未收到,请稍等客服稍后会于你联系。\n订单状态已重置，请核对后重新上传凭证。`;
@@ -683,6 +769,7 @@ bot.on('callback_query', async (callbackQuery) => {
         }
     } catch (e) {
         console.error("TG Callback Error:", e);
+        bot.answerCallbackQuery(callbackQuery.id, { text: `❌ ${e.message}`.slice(0, 190), show_alert: true }).catch(() => {});
     }
 });
 
@@ -705,6 +792,8 @@ app.use(express.static('public'));
 app.use('/api/', apiLimiter);
 // 特别应用登录限流
 app.use('/api/user/login', loginLimiter);
+app.use('/api/admin/login', loginLimiter);
+app.use('/api/user/refresh', refreshLimiter);
 
 if (!fs.existsSync('uploads')) fs.mkdirSync('uploads');
 
@@ -713,136 +802,914 @@ const upload = multer({
     limits: { fileSize: 3 * 1024 * 1024 }
 });
 
-// 新增：记录资金变动辅助函数 (修改版：记录余额快照)
-const logBalance = async (client, userId, type, amount, remark) => {
-    // 先查询当前最新余额
-    const res = await client.query("SELECT balance FROM users WHERE id = $1", [userId]);
-    const currentBal = res.rows[0] ? res.rows[0].balance : 0;
-    
+// ==========================================
+// 📦 订单状态机 (所有订单状态变更必须经过 transitionOrder)
+// ==========================================
+const ORDER_STATUS = {
+    PENDING: '待支付',
+    REVIEW: '待审核',
+    PAID: '已支付',
+    SHIPPED: '已发货',
+    CLOSED: '已关闭',   // 用户取消 / 超时关闭
+    CANCELLED: '已取消' // 管理员取消
+};
+
+// 事件 => 允许的来源状态、目标状态
+const ORDER_TRANSITIONS = {
+    submit_proof: { label: '提交支付凭证', from: [ORDER_STATUS.PENDING], to: ORDER_STATUS.REVIEW },
+    reject_proof: { label: '驳回支付凭证', from: [ORDER_STATUS.REVIEW], to: ORDER_STATUS.PENDING },
+    pay: { label: '确认支付', from: [ORDER_STATUS.PENDING, ORDER_STATUS.REVIEW], to: ORDER_STATUS.PAID },
+    ship: { label: '发货', from: [ORDER_STATUS.PAID], to: ORDER_STATUS.SHIPPED },
+    close: { label: '关闭订单', from: [ORDER_STATUS.PENDING], to: ORDER_STATUS.CLOSED },
+    expire: { label: '超时关闭', from: [ORDER_STATUS.PENDING], to: ORDER_STATUS.CLOSED },
+    cancel: { label: '取消订单', from: [ORDER_STATUS.PENDING, ORDER_STATUS.REVIEW, ORDER_STATUS.PAID], to: ORDER_STATUS.CANCELLED }
+};
+
+const isRechargeOrder = (order) => order.product_name === '余额充值';
+
+// 外部支付金额中扣除支付手续费后的部分 (手续费不退款、不计返利)
+const netOfPaymentFee = (order) => Math.round((parseFloat(order.usdt_amount) - parseFloat(order.payment_fee || 0)) * 10000) / 10000;
+
+const recordOrderEvent = async (client, orderId, event, fromStatus, toStatus, actor, note) => {
     await client.query(
-        "INSERT INTO balance_logs (user_id, type, amount, remark, balance_after) VALUES ($1, $2, $3, $4, $5)",
-        [userId, type, amount, remark, currentBal]
+        'INSERT INTO order_events (order_id, event, from_status, to_status, actor, note) VALUES ($1, $2, $3, $4, $5, $6)',
+        [orderId, event, fromStatus, toStatus, actor || 'system', note || null]
     );
 };
 
-const adminAuth = (req, res, next) => {
-    if(req.headers['authorization'] === ADMIN_TOKEN) next();
-    else res.status(401).json({msg:'Unauthorized'});
+// 给订单列表附加明细 items，并用第一行明细的图片作为订单图片
+const attachOrderItems = async (db, orders) => {
+    if (orders.length === 0) return orders;
+    const itemsRes = await db.query('SELECT * FROM order_items WHERE order_id = ANY($1) ORDER BY id ASC', [orders.map(o => o.order_id)]);
+    const map = {};
+    (await cardKeys.attachCodes(db, itemsRes.rows)).forEach(item => {
+        if (!map[item.order_id]) map[item.order_id] = [];
+        map[item.order_id].push(item);
+    });
+    return orders.map(o => {
+        const items = map[o.order_id] || [];
+        return { ...o, items, image_url: items.length > 0 ? items[0].image_url : o.image_url };
+    });
 };
 
+// 订单明细文字 (用于 TG 通知)
+const formatOrderItems = (items) => items.map(i => `• ${i.product_name} × ${i.quantity} (${parseFloat(i.unit_price).toFixed(2)})`).join('\n');
+
+// 执行状态流转 (必须在事务中调用)，包含库存、退款、充值到账等数据库副作用
+// ctx: { actor, note, fields: { 列名: 值 }, amount: 充值实际到账金额 }
+// 返回 { order, from, to, event, credited }，提交事务后交给 afterOrderTransition 处理返利和通知
+const transitionOrder = async (client, orderId, event, ctx = {}) => {
+    const rule = ORDER_TRANSITIONS[event];
+    if (!rule) throw new Error(`未知的订单事件: ${event}`);
+
+    const orderRes = await client.query('SELECT *, (expires_at IS NOT NULL AND expires_at < NOW()) AS is_expired FROM orders WHERE order_id = $1 FOR UPDATE', [orderId]);
+    const order = orderRes.rows[0];
+    if (!order) throw new Error('订单不存在');
+    if (!rule.from.includes(order.status)) {
+        throw new Error(`订单 ${orderId} 当前状态为「${order.status}」，无法${rule.label}`);
+    }
+    // 过期时间可能被重新上传收款码延长，加锁后再确认一次
+    if (event === 'expire' && !order.is_expired) throw new Error(`订单 ${orderId} 尚未过期`);
+    if (isRechargeOrder(order) && (event === 'ship' || (event === 'cancel' && order.status === ORDER_STATUS.PAID))) {
+        throw new Error(`充值订单无法${rule.label}`);
+    }
 
-// ==========================================
-// 🛒 前端 API
-// ==========================================
+    const fields = { ...(ctx.fields || {}), status: rule.to };
+    if (rule.to === ORDER_STATUS.PAID && !isRechargeOrder(order)) {
+        // 记录外部 (USDT/CNY) 实付金额，退款时使用 (【修改】不含支付手续费)
+        fields.external_paid = netOfPaymentFee(order).toFixed(4);
+    }
+    const cols = Object.keys(fields);
+    const updated = await client.query(
+        `UPDATE orders SET ${cols.map((c, i) => `${c} = $${i + 1}`).join(', ')} WHERE order_id = $${cols.length + 1} RETURNING *`,
+        [...cols.map(c => fields[c]), orderId]
+    );
 
-// 1. 公共数据
-app.get('/api/public/data', async (req, res) => {
-    try {
-        
-const prods = await pool.query('SELECT * FROM products ORDER BY is_pinned DESC, id DESC');
-const hiring = await pool.query('SELECT * FROM hiring');
-        
-        const rate = await getSetting('rate');
-        const feeRate = await getSetting('feeRate');
-        const announcement = await getSetting('announcement');
-        const popup = await getSetting('popup');
-        const wallet = await getSetting('walletAddress');
+    // --- 副作用 ---
+    let credited = 0;
+    if (rule.to === ORDER_STATUS.PAID && isRechargeOrder(order)) {
+        // 充值到账 (【修改】扣除下单时加收的支付手续费)
+        const paid = ctx.amount !== undefined ? parseFloat(ctx.amount) : parseFloat(order.usdt_amount);
+        const amt = credited = Math.round((paid - parseFloat(order.payment_fee || 0)) * 10000) / 10000;
+        await ledger.postBalanceChange(client, {
+            userId: order.user_id, amount: amt, counterAccount: ledger.ACCOUNTS.DEPOSITS,
+            type: '余额充值', remark: `订单 ${orderId} 充值到账`, ref: `order:${orderId}`
+        });
+    }
 
-        // [修改] 获取分类并按照数据库中的优先级排序
-        const distinctCats = [...new Set(prods.rows.map(p => p.category))];
-        const prioritiesRes = await pool.query('SELECT name, priority FROM categories');
-        const pMap = {};
-        prioritiesRes.rows.forEach(r => pMap[r.name] = r.priority);
-        const categories = distinctCats.sort((a, b) => (pMap[b] || 0) - (pMap[a] || 0));
+    if (rule.to === ORDER_STATUS.CLOSED || rule.to === ORDER_STATUS.CANCELLED) {
+        // 释放/退回库存 + 自动退回余额抵扣部分 (外部已付部分走退款审批)
+        if (!isRechargeOrder(order)) {
+            await inventory.releaseOrder(client, order, { actor: ctx.actor, note: rule.label });
+            await promotions.releaseOrder(client, orderId);
+        }
+        const { balance } = getRefundable(order);
+        if (balance > 0) {
+            await issueRefund(client, order, balance, { reason: rule.label, actor: ctx.actor, onlyBalance: true });
+        }
+    }
 
-        res.json({
-            products: prods.rows,
-            categories,
-            hiring: hiring.rows,
-            rate: parseFloat(rate),
-            feeRate: parseFloat(feeRate),
-            announcement,
-            showPopup: popup === 'true',
-            wallet // 将钱包地址传给前端
-        });
-    } catch(e) { res.status(500).json({error: e.message}); }
-});
+    await recordOrderEvent(client, orderId, event, order.status, rule.to, ctx.actor, ctx.note);
 
-// 1.1 缺货登记
-app.post('/api/notify-restock', async (req, res) => {
-    const { contact, productName } = req.body;
-    sendTgNotify(`📢 <b>缺货补货提醒</b>\n商品: ${productName}\n客户联系: ${contact}\n请尽快补货！`);
-    res.json({success: true});
-});
-
-// 1.2 裂变可视化数据
-app.get('/api/user/team', async (req, res) => {
-    const { userId } = req.query;
-    try {
-// 获取我邀请的人
-        const teamRes = await pool.query(`
-            SELECT id, contact, created_at, 
-            (
-                SELECT COALESCE(SUM(amount), 0) 
-                FROM balance_logs 
-                WHERE user_id = $1 
-                  AND type = '佣金返利' 
-                  AND remark LIKE '好友 ' || users.id || ' %'
-            ) as earned
-            FROM users WHERE invited_by = $1 ORDER BY created_at DESC
-        `, [userId]);
-        
-        // 计算总收益
-        const totalRes = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM balance_logs WHERE user_id = $1 AND type = '佣金返利'", [userId]);
-        
-        res.json({ success: true, list: teamRes.rows, total: parseFloat(totalRes.rows[0].total) });
-    } catch(e) { res.json({success: false, list: [], total: 0}); }
-});
+    return { order: updated.rows[0], from: order.status, to: rule.to, event, credited };
+};
 
-// 2. 注册
-app.post('/api/user/register', async (req, res) => {
-    const { contact, password, uid, inviteCode, source } = req.body; // 【修改】接收 source
+// 收款后发放邀请返利 (与收款在同一事务中)
+// 返利出错不影响收款：回滚到保存点并记录错误
+const applyReferralBonus = async (client, { order, credited }) => {
+    let args;
+    if (!isRechargeOrder(order)) {
+        // 按订单总价值 (外部支付 + 余额抵扣，不含支付手续费) 计算消费返利
+        args = [order.user_id, netOfPaymentFee(order) + parseFloat(order.balance_paid || 0), '消费', order.order_id];
+    } else if (credited > 0) {
+        // 充值返利按实际到账金额计算 (比例为0时不发放)
+        args = [order.user_id, credited, '充值', order.order_id];
+    } else {
+        return [];
+    }
+    await client.query('SAVEPOINT referral_bonus');
     try {
-        const check = await pool.query('SELECT id FROM users WHERE contact = $1', [contact]);
-        if(check.rows.length > 0) return res.json({success:false, msg:'用户已存在'});
+        const notices = await handleReferralBonus(client, ...args);
+        await client.query('RELEASE SAVEPOINT referral_bonus');
+        return notices;
+    } catch (e) {
+        await client.query('ROLLBACK TO SAVEPOINT referral_bonus');
+        console.error("Referral Bonus Error:", e);
+        return [];
+    }
+};
 
-        const id = uid || Math.floor(100000 + Math.random() * 900000);
-        // 安全修复：加密密码
-        const hashedPassword = await bcrypt.hash(password, 10);
-        // 生成我的邀请码 (修改为4位随机码)
-        const myInviteCode = Math.random().toString(36).substring(2, 6).toUpperCase();
-        
-        let inviterId = null;
-        if (inviteCode) {
-            // [修改点]：强制转为大写，并去除空格
-            const upperInviteCode = inviteCode.toUpperCase().trim(); 
-            const inviterRes = await pool.query('SELECT id FROM users WHERE invite_code = $1', [upperInviteCode]);
-            if (inviterRes.rows.length > 0) inviterId = inviterRes.rows[0].id;
-        }
+// 标记订单已支付：TG 群确认、后台确认、USDT 回调/链上监听、余额全额抵扣都走这里
+// 必须在调用方的事务中执行。订单行加锁 + 状态校验保证只会成功一次，
+// 充值加余额和邀请返利与状态变更一起提交，不会重复加钱或重复返利
+const markOrderPaid = async (client, orderId, ctx = {}) => {
+    const result = await transitionOrder(client, orderId, 'pay', ctx);
+    result.notices = await applyReferralBonus(client, result);
+    if (!isRechargeOrder(result.order)) {
+        await deliverCardKeys(client, result);
+        // 预留库存转为出库 (卡密已在上一步发出)
+        await inventory.commitOrder(client, orderId, ctx.actor);
+    }
+    return result;
+};
 
-       await pool.query(
-            'INSERT INTO users (id, contact, password, balance, invite_code, invited_by, source) VALUES ($1, $2, $3, 0, $4, $5, $6)', 
-            [id, contact, hashedPassword, myInviteCode, inviterId, source || 'xaw888.com'] // 【修改】写入来源
-        );
-        
-        // [新增] 通知后台有新用户
-        notifyAdminUpdate();
+// [新增] 卡密自动发货 (在收款事务中)：卡密写入订单并发到用户聊天，整单都是卡密商品时直接流转为已发货
+const deliverCardKeys = async (client, result) => {
+    const delivery = result.delivery = await cardKeys.deliverOrder(client, result.order);
+    if (delivery.items.length === 0) return;
+    const orderId = result.order.order_id;
+    const text = cardKeys.formatDelivery(delivery.items);
+
+    if (delivery.complete) {
+        const shipped = await transitionOrder(client, orderId, 'ship', { actor: 'system', note: '卡密自动发货', fields: { tracking_number: text } });
+        result.order = shipped.order;
+        result.to = shipped.to;
+    }
 
-        res.json({ success: true, isNew: true, userId: id, uid: id, balance: 0, inviteCode: myInviteCode });
-    } catch(e) { res.json({success:false, msg: e.message}); }
-});
+    const notifySid = `user_${result.order.user_id}`;
+    let content = `📦 订单 ${orderId} 已自动发货，卡密如下：\n\n${text}`;
+    if (delivery.missing.length > 0) content += `\n\n其余商品库存不足，客服补货后会尽快为您发货。`;
+    const msgRes = await client.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
+    result.notices.push({ notifySid, content, created_at: msgRes.rows[0].created_at });
+};
 
-// 3. 登录
-app.post('/api/user/login', async (req, res) => {
-    const { contact, password } = req.body;
+// 事务提交后的副作用：返利到账通知 + 实时通知
+const afterOrderTransition = async (result) => {
+    const { order } = result;
+    for (const n of result.notices || []) {
+        io.to(n.notifySid).emit('new_message', {
+            session_id: n.notifySid, sender: 'admin', content: n.content, msg_type: 'text', created_at: n.created_at
+        });
+        // 通知邀请人刷新余额、邀请列表
+        io.to(n.notifySid).emit('order_update');
+    }
+    io.to(`user_${order.user_id}`).emit('order_update');
+    if (result.delivery && result.delivery.missing.length > 0) {
+        sendTgNotify(`⚠️ <b>卡密库存不足</b>\n单号: <code>${order.order_id}</code>\n${result.delivery.missing.map(m => `• ${m.name} 缺 ${m.count} 个`).join('\n')}\n请补充卡密后手动发货！`);
+    }
+    notifyAdminUpdate();
+};
+
+// 在独立事务中执行一次状态流转 (pay 事件统一走 markOrderPaid)
+const runOrderTransition = async (orderId, event, ctx) => {
+    const client = await pool.connect();
+    let result;
     try {
-        const resDb = await pool.query('SELECT * FROM users WHERE contact = $1', [contact]);
-        if(resDb.rows.length > 0) {
-            const u = resDb.rows[0];
-            // 安全修复：比对加密密码
-            const match = await bcrypt.compare(password, u.password);
-            if (match) {
-                res.json({ success: true, userId: u.id, uid: u.id, balance: parseFloat(u.balance), inviteCode: u.invite_code });
+        await client.query('BEGIN');
+        result = event === 'pay'
+            ? await markOrderPaid(client, orderId, ctx)
+            : await transitionOrder(client, orderId, event, ctx);
+        if (ctx && ctx.audit) await logAudit(client, ctx.audit, `order.${event}`, 'order', orderId, { status: result.from }, { status: result.to });
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+    await afterOrderTransition(result);
+    return result;
+};
+
+// 在独立事务中确认收款 (TG 群按钮和后台接口共用)
+const confirmOrderPaid = (orderId, ctx) => runOrderTransition(orderId, 'pay', ctx);
+
+// [新增] 补货后通知到货提醒的订阅者 (写聊天记录并推送)；没有聊天会话的游客汇总发到 TG 群人工联系
+const notifyRestockSubscribers = async (productId) => {
+    const client = await pool.connect();
+    const notices = [];
+    const manual = [];
+    try {
+        await client.query('BEGIN');
+        for (const { subscription: sub, productName } of await restock.takeDue(client, productId)) {
+            if (!sub.session_id) {
+                manual.push(`${productName}: ${sub.contact}`);
+                continue;
+            }
+            const content = `🔔 您关注的商品「${productName}」已到货，欢迎选购！`;
+            const msgRes = await client.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [sub.session_id, content]);
+            notices.push({ notifySid: sub.session_id, content, created_at: msgRes.rows[0].created_at });
+        }
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        console.error("Restock Notify Error:", e);
+        return;
+    } finally {
+        client.release();
+    }
+    for (const n of notices) {
+        io.to(n.notifySid).emit('new_message', { session_id: n.notifySid, sender: 'admin', content: n.content, msg_type: 'text', created_at: n.created_at });
+    }
+    if (manual.length > 0) {
+        sendTgNotify(`📦 <b>商品已补货，以下游客登记了到货提醒，请联系：</b>\n${manual.join('\n')}`);
+    }
+};
+
+// ==========================================
+// 💸 退款 (统一退回到用户余额)
+// ==========================================
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// 订单剩余可退金额：余额抵扣部分 + 外部实付部分，分别扣掉已退金额
+const getRefundable = (order) => ({
+    balance: round4(Math.max(0, parseFloat(order.balance_paid || 0) - parseFloat(order.refunded_balance || 0))),
+    external: round4(Math.max(0, parseFloat(order.external_paid || 0) - parseFloat(order.refunded_external || 0)))
+});
+
+// 执行退款 (必须在事务中调用，订单行需已加锁)
+// 先退余额抵扣部分，再退外部实付部分；opts: { reason, actor, onlyBalance, refundId: 审批通过的退款单 }
+const issueRefund = async (client, order, amount, opts = {}) => {
+    const refundable = getRefundable(order);
+    const max = opts.onlyBalance ? refundable.balance : round4(refundable.balance + refundable.external);
+    amount = round4(parseFloat(amount));
+    if (!(amount > 0)) throw new Error('退款金额必须大于0');
+    if (amount > max) throw new Error(`退款金额超出可退金额 ${max}`);
+
+    const balancePart = Math.min(amount, refundable.balance);
+    const externalPart = round4(amount - balancePart);
+
+    await client.query(
+        'UPDATE orders SET refunded_balance = refunded_balance + $1, refunded_external = refunded_external + $2 WHERE order_id = $3',
+        [balancePart, externalPart, order.order_id]
+    );
+    await ledger.postBalanceChange(client, {
+        userId: order.user_id, amount, counterAccount: ledger.ACCOUNTS.REFUNDS,
+        type: '退款', remark: `订单 ${order.order_id} ${opts.reason || '退款'}`, ref: `order:${order.order_id}`
+    });
+
+    if (opts.refundId) {
+        await client.query(
+            "UPDATE refunds SET status = '已退款', balance_part = $1, external_part = $2, approved_by = $3, processed_at = NOW() WHERE id = $4",
+            [balancePart, externalPart, opts.actor || 'system', opts.refundId]
+        );
+        return opts.refundId;
+    }
+    const ins = await client.query(
+        `INSERT INTO refunds (order_id, user_id, amount, balance_part, external_part, reason, status, requested_by, approved_by, processed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, '已退款', $7, $7, NOW()) RETURNING id`,
+        [order.order_id, order.user_id, amount, balancePart, externalPart, opts.reason || null, opts.actor || 'system']
+    );
+    return ins.rows[0].id;
+};
+
+// 创建待审批的退款申请 (必须在事务中调用)，金额不能超过 可退金额 - 其他待审批金额
+const createRefundRequest = async (client, orderId, amount, reason, actor) => {
+    const orderRes = await client.query('SELECT * FROM orders WHERE order_id = $1 FOR UPDATE', [orderId]);
+    const order = orderRes.rows[0];
+    if (!order) throw new Error('订单不存在');
+    if (isRechargeOrder(order)) throw new Error('充值订单不支持退款');
+
+    const refundable = getRefundable(order);
+    const pendingRes = await client.query("SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE order_id = $1 AND status = '待审批'", [orderId]);
+    const available = round4(refundable.balance + refundable.external - parseFloat(pendingRes.rows[0].total));
+    const value = amount !== undefined && amount !== null && amount !== '' ? round4(parseFloat(amount)) : available;
+    if (!(value > 0)) throw new Error('该订单没有可退金额');
+    if (value > available) throw new Error(`退款金额超出可退金额 ${available}`);
+
+    const ins = await client.query(
+        "INSERT INTO refunds (order_id, user_id, amount, reason, status, requested_by) VALUES ($1, $2, $3, $4, '待审批', $5) RETURNING *",
+        [orderId, order.user_id, value, reason || null, actor]
+    );
+    return { refund: ins.rows[0], order };
+};
+
+// 把退款申请推送到 TG 群，等待审批
+const sendRefundApproval = (refund, order) => {
+    const text = `💸 <b>退款申请 #${refund.id}</b>\n单号: <code>${refund.order_id}</code>\n用户ID: ${refund.user_id}\n金额: ${parseFloat(refund.amount).toFixed(4)} USDT (退回余额)\n订单实付: 余额 ${parseFloat(order.balance_paid || 0).toFixed(4)} + 外部 ${parseFloat(order.external_paid || 0).toFixed(4)}\n原因: ${refund.reason || '-'}\n申请人: ${refund.requested_by}`;
+    bot.sendMessage(TG_ADMIN_GROUP_ID, text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [[
+                { text: "✅ 同意退款", callback_data: `rf_approve_${refund.id}` },
+                { text: "❌ 拒绝", callback_data: `rf_reject_${refund.id}` }
+            ]]
+        }
+    }).catch(e => console.error("TG发送失败:", e.message));
+};
+
+// 审批退款申请：approve=true 执行退款，false 驳回
+const processRefundRequest = async (refundId, approve, actorLabel, auditActor) => {
+    const client = await pool.connect();
+    let refund;
+    try {
+        await client.query('BEGIN');
+        const refundRes = await client.query('SELECT * FROM refunds WHERE id = $1 FOR UPDATE', [refundId]);
+        refund = refundRes.rows[0];
+        if (!refund) throw new Error('退款申请不存在');
+        if (refund.status !== '待审批') throw new Error(`退款申请已处理 (${refund.status})`);
+
+        if (approve) {
+            const orderRes = await client.query('SELECT * FROM orders WHERE order_id = $1 FOR UPDATE', [refund.order_id]);
+            await issueRefund(client, orderRes.rows[0], refund.amount, { reason: refund.reason || '退款', actor: actorLabel, refundId: refund.id });
+        } else {
+            await client.query("UPDATE refunds SET status = '已驳回', approved_by = $1, processed_at = NOW() WHERE id = $2", [actorLabel, refund.id]);
+        }
+        await logAudit(client, auditActor, approve ? 'refund.approve' : 'refund.reject', 'refund', refund.id, { status: '待审批' }, { status: approve ? '已退款' : '已驳回', amount: refund.amount, order_id: refund.order_id });
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+
+    if (approve) {
+        const notifySid = `user_${refund.user_id}`;
+        const content = `💸 订单 ${refund.order_id} 已退款 ${parseFloat(refund.amount).toFixed(4)} USDT，已退回您的余额。`;
+        const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
+        io.to(notifySid).emit('new_message', { session_id: notifySid, sender: 'admin', content, msg_type: 'text', created_at: resDb.rows[0].created_at });
+        io.to(notifySid).emit('order_update');
+    }
+    notifyAdminUpdate();
+    return refund;
+};
+
+// ==========================================
+// 💸 提现审批
+// ==========================================
+// 提现申请发到群里的说明文字 (带手续费和风控标记)
+const withdrawCaption = (w, contact, method, account) => {
+    const flags = w.risk_flags || [];
+    let text = `💸 <b>新提现申请 (${method})</b>\n用户: ${contact} (ID: ${w.user_id})\n金额: ${w.amount} USDT\n手续费: ${w.fee} USDT\n实际打款: <b>${w.net_amount} USDT</b>\n账号: ${account}\nID: ${w.id}`;
+    if (flags.length > 0) {
+        text += `\n\n⚠️ <b>风控提示</b>\n${flags.map(f => `• ${f}`).join('\n')}\n需要 ${w.required_approvals} 位管理员审批`;
+    }
+    return text;
+};
+
+// 从文本中取出交易哈希 (TRON 64位十六进制 / EVM 0x 开头)
+const extractTxHash = (text) => {
+    const m = (text || '').match(/\b(0x[0-9a-fA-F]{64}|[0-9a-fA-F]{64})\b/);
+    return m ? m[1] : null;
+};
+
+// 交易哈希对应的区块浏览器地址 (用户自行核实到账)
+const txExplorerUrl = (hash) => {
+    if (!hash || !extractTxHash(hash)) return null;
+    return hash.startsWith('0x') ? `https://etherscan.io/tx/${hash}` : `https://tronscan.org/#/transaction/${hash}`;
+};
+
+// 登记打款凭证 (交易哈希 / 截图)，只有已审批完成的提现才能登记，可重复登记覆盖
+const recordWithdrawalPayout = async (wdId, { txHash, proofUrl }, auditActor) => {
+    const client = await pool.connect();
+    let before, w;
+    try {
+        await client.query('BEGIN');
+        const wRes = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [wdId]);
+        before = wRes.rows[0];
+        if (!before) throw new Error('提现申请不存在');
+        if (before.status !== '已完成') throw new Error(`提现申请当前状态为「${before.status}」，审批完成后才能登记打款凭证`);
+
+        const upd = await client.query(
+            `UPDATE withdrawals SET payout_tx_hash = COALESCE($1, payout_tx_hash), payout_proof_url = COALESCE($2, payout_proof_url),
+                    paid_at = NOW(), paid_by = $3
+             WHERE id = $4 RETURNING *`,
+            [txHash || null, proofUrl || null, auditActor.name || auditActor.id.toString(), wdId]
+        );
+        w = upd.rows[0];
+        await logAudit(client, auditActor, 'withdraw.payout', 'withdrawal', wdId,
+            { payout_tx_hash: before.payout_tx_hash, payout_proof_url: before.payout_proof_url },
+            { payout_tx_hash: w.payout_tx_hash, payout_proof_url: w.payout_proof_url });
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+
+    const notifySid = `user_${w.user_id}`;
+    let content = `🧾 您的提现 (ID: ${w.id}) 已打款 ${w.net_amount || w.amount} USDT。`;
+    if (txHash) content += `\n交易哈希: ${txHash}\n可在区块浏览器自行核实：${txExplorerUrl(txHash) || ''}`;
+    else if (proofUrl) content += '\n打款截图可在提现记录中查看。';
+    const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
+    io.to(notifySid).emit('new_message', { session_id: notifySid, sender: 'admin', content, msg_type: 'text', created_at: resDb.rows[0].created_at });
+    io.to(notifySid).emit('order_update');
+    notifyAdminUpdate();
+    return w;
+};
+
+// 审批人对应的真实身份：绑定了后台账号的 Telegram 用户算作该管理员 (admin:<id>)，未绑定的仍为 tg:<id>
+const resolveApprover = async (db, approver) => {
+    if (!approver.id.startsWith('tg:')) return approver.id;
+    const res = await db.query('SELECT id FROM admins WHERE telegram_id = $1 AND is_active = TRUE', [approver.id.slice(3)]);
+    return res.rows.length > 0 ? `admin:${res.rows[0].id}` : approver.id;
+};
+
+// 审批/驳回提现 (Telegram 按钮和后台共用)
+// approver: { id: 'tg:xxx' | 'admin:xxx', name }；需要复核的提现必须由不同的管理员审批
+// 【修改】按真实的人去重 (见 resolveApprover)，需要复核时 Telegram 审批人必须已绑定后台账号
+// 返回 { withdrawal, done: 是否已完成, remaining: 还需几人审批, approvers }
+const processWithdrawal = async (wdId, approve, approver, auditActor) => {
+    const client = await pool.connect();
+    let w;
+    let done = false;
+    try {
+        await client.query('BEGIN');
+        const wRes = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [wdId]);
+        w = wRes.rows[0];
+        if (!w) throw new Error('提现申请不存在');
+        if (w.status !== '处理中') throw new Error(`提现申请已处理 (${w.status})`);
+
+        const approvals = w.approvals || [];
+        if (approve) {
+            const person = await resolveApprover(client, approver);
+            if ((w.required_approvals || 1) > 1 && person.startsWith('tg:')) {
+                throw new Error('该提现需要复核，请先在后台管理员账号中绑定您的 Telegram ID');
+            }
+            if (approvals.some(a => (a.person || a.id) === person)) throw new Error('您已审批过，需要另一位管理员复核');
+            approvals.push({ id: approver.id, person, name: approver.name, at: new Date().toISOString() });
+            done = approvals.length >= (w.required_approvals || 1);
+            const upd = await client.query(
+                `UPDATE withdrawals SET approvals = $1, status = $2, reviewed_by = $3, processed_at = CASE WHEN $4 THEN NOW() ELSE processed_at END
+                 WHERE id = $5 RETURNING *`,
+                [JSON.stringify(approvals), done ? '已完成' : '处理中', done ? approvals.map(a => a.name).join(' / ') : null, done, wdId]
+            );
+            w = upd.rows[0];
+            await logAudit(client, auditActor, done ? 'withdraw.confirm' : 'withdraw.approve', 'withdrawal', wdId,
+                { status: '处理中', approvals: approvals.length - 1 }, { status: w.status, approvals: approvals.length, required: w.required_approvals });
+        } else {
+            done = true;
+            const upd = await client.query("UPDATE withdrawals SET status = '已驳回', reviewed_by = $1, processed_at = NOW() WHERE id = $2 RETURNING *", [approver.name, wdId]);
+            w = upd.rows[0];
+            // 退回余额 (记账 + 资金明细)
+            await ledger.postBalanceChange(client, {
+                userId: w.user_id, amount: w.amount, counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+                type: '提现退回', remark: `提现申请(ID:${wdId})被驳回`, ref: `withdrawal:${wdId}`
+            });
+            await logAudit(client, auditActor, 'withdraw.reject', 'withdrawal', wdId, { status: '处理中' }, { status: '已驳回', refund: w.amount });
+        }
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+
+    if (done) {
+        const notifySid = `user_${w.user_id}`;
+        const content = approve ? '✅ 您的提现已处理，请查收。' : '❌ 您的提现已被驳回，资金已退回余额。';
+        const resDb = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
+        io.to(notifySid).emit('new_message', { session_id: notifySid, sender: 'admin', content, msg_type: 'text', created_at: resDb.rows[0].created_at });
+        // 告诉前端刷新提现列表和余额
+        io.to(notifySid).emit('order_update');
+    }
+    notifyAdminUpdate();
+    const approvers = (w.approvals || []).map(a => a.name);
+    return { withdrawal: w, done, remaining: Math.max(0, (w.required_approvals || 1) - approvers.length), approvers };
+};
+
+// ==========================================
+// 🛡️ 后台角色与权限
+// ==========================================
+// owner 拥有全部权限；其他角色只能访问列出的功能
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    finance: ['dashboard.view', 'user.view', 'order.view', 'order.qrcode', 'order.confirm_pay', 'order.cancel', 'order.refund', 'refund.approve', 'withdraw.approve', 'balance.adjust', 'finance.view'],
+    fulfilment: ['dashboard.view', 'order.view', 'order.ship', 'order.qrcode', 'product.manage', 'upload'],
+    support: ['dashboard.view', 'chat', 'upload']
+};
+
+const hasPerm = (role, perm) => {
+    const perms = ROLE_PERMISSIONS[role] || [];
+    return perms.includes('*') || perms.includes(perm);
+};
+
+// 记录管理操作审计日志 (db 可以是 pool 或事务中的 client)
+// actor: { type: 'admin' | 'telegram', id, name, ip }
+const logAudit = async (db, actor, action, targetType, targetId, before, after) => {
+    await db.query(
+        `INSERT INTO admin_audit_logs (actor_type, actor_id, actor_name, action, target_type, target_id, before_value, after_value, ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+            actor.type, actor.id.toString(), actor.name || null, action, targetType,
+            targetId !== undefined && targetId !== null ? targetId.toString() : null,
+            before !== undefined ? JSON.stringify(before) : null,
+            after !== undefined ? JSON.stringify(after) : null,
+            actor.ip || null
+        ]
+    );
+};
+
+const adminActor = (req) => ({ type: 'admin', id: req.admin.id, name: req.admin.username, ip: req.ip });
+const tgActor = (from) => ({ type: 'telegram', id: from.id, name: from.username || [from.first_name, from.last_name].filter(Boolean).join(' ') });
+
+// 后台鉴权中间件：校验令牌，并从数据库读取最新的角色 (停用/改角色立即生效)
+const adminAuth = async (req, res, next) => {
+    const payload = verifyToken(readBearer(req), ADMIN_TOKEN_SECRET);
+    if (!payload || !payload.aid) return res.status(401).json({msg:'Unauthorized'});
+    try {
+        const adminRes = await pool.query('SELECT id, username, role FROM admins WHERE id = $1 AND is_active = TRUE', [payload.aid]);
+        if (adminRes.rows.length === 0) return res.status(401).json({msg:'Unauthorized'});
+        req.admin = adminRes.rows[0];
+        next();
+    } catch (e) {
+        console.error("Admin Auth Error:", e);
+        res.status(500).json({msg:'Server Error'});
+    }
+};
+
+// 权限检查中间件，必须放在 adminAuth 之后
+const requirePerm = (perm) => (req, res, next) => {
+    if (req.admin && hasPerm(req.admin.role, perm)) next();
+    else res.status(403).json({success:false, msg:'无权限执行此操作'});
+};
+
+// ==========================================
+// 🔑 用户会话 (签名令牌 + 刷新令牌)
+// ==========================================
+const base64url = (buf) => Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 签发令牌：base64url(payload).签名
+const signToken = (payload, secret) => {
+    const body = base64url(JSON.stringify(payload));
+    const sig = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${sig}`;
+};
+
+// 校验令牌签名与过期时间，失败返回 null
+const verifyToken = (token, secret) => {
+    if (!token || typeof token !== 'string') return null;
+    const [body, sig] = token.split('.');
+    if (!body || !sig) return null;
+    const expected = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (e) { return null; }
+};
+
+const readBearer = (req) => {
+    const header = req.headers['authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : header.trim();
+};
+
+const signAccessToken = (userId, sessionId) => signToken(
+    { uid: userId.toString(), sid: sessionId, exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL },
+    USER_TOKEN_SECRET
+);
+
+// 新建会话：返回访问令牌和刷新令牌 (刷新令牌格式: 会话ID.随机串)
+const createUserSession = async (userId) => {
+    const sessionId = uuidv4();
+    const secret = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        `INSERT INTO user_sessions (id, user_id, refresh_hash, expires_at) VALUES ($1, $2, $3, NOW() + INTERVAL '${REFRESH_TOKEN_TTL_DAYS} days')`,
+        [sessionId, userId, hashToken(secret)]
+    );
+    return { token: signAccessToken(userId, sessionId), refreshToken: `${sessionId}.${secret}`, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// 校验用户令牌和会话，有效时返回令牌内容，否则返回 null
+const resolveUserToken = async (token) => {
+    const payload = verifyToken(token, USER_TOKEN_SECRET);
+    if (!payload || !payload.sid) return null;
+    const sessRes = await pool.query('SELECT user_id FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()', [payload.sid]);
+    if (sessRes.rows.length === 0 || sessRes.rows[0].user_id.toString() !== payload.uid) return null;
+    return payload;
+};
+
+const resolveUserSession = (req) => resolveUserToken(readBearer(req));
+
+// 用户鉴权中间件：从令牌中取出 userId，不再信任请求参数
+const userAuth = async (req, res, next) => {
+    try {
+        const payload = await resolveUserSession(req);
+        if (!payload) return res.status(401).json({ success: false, msg: '登录已过期，请重新登录' });
+        req.userId = payload.uid;
+        req.sessionId = payload.sid;
+        next();
+    } catch (e) {
+        console.error("User Auth Error:", e);
+        res.status(500).json({ success: false, msg: '服务器错误' });
+    }
+};
+
+// [新增] 可选登录：带有效令牌时设置 req.userId，否则按游客处理
+const optionalUserAuth = async (req, res, next) => {
+    try {
+        const payload = await resolveUserSession(req);
+        if (payload) {
+            req.userId = payload.uid;
+            req.sessionId = payload.sid;
+        }
+    } catch (e) {
+        console.error("User Auth Error:", e);
+    }
+    next();
+};
+
+// [新增] 聊天会话访问权限：user_<id> 会话只有本人或有客服权限的管理员可以查看/订阅，游客会话不变
+const canAccessChatSession = async (sid, token) => {
+    if (!sid || typeof sid !== 'string') return false;
+    if (!sid.startsWith('user_')) return true;
+    const adminPayload = verifyToken(token, ADMIN_TOKEN_SECRET);
+    if (adminPayload && adminPayload.aid) {
+        const adminRes = await pool.query('SELECT role FROM admins WHERE id = $1 AND is_active = TRUE', [adminPayload.aid]);
+        return adminRes.rows.length > 0 && hasPerm(adminRes.rows[0].role, 'chat');
+    }
+    const payload = await resolveUserToken(token);
+    return !!payload && sid === `user_${payload.uid}`;
+};
+
+// 幂等中间件 (放在 userAuth 和文件上传之后)：带 Idempotency-Key 请求头时，
+// 同一用户同一接口的同一个 key 只执行一次，重试直接返回第一次成功的结果
+// 失败的请求不保存，客户端可用同一个 key 重试；不带请求头时不做处理
+// 接口在事务提交后设置 req.idempotencyCommitted = true，之后的响应无论成功失败都保存，防止重试重复执行
+const IDEMPOTENCY_STALE_MS = 5 * 60 * 1000; // 处理中超过5分钟视为已中断，允许重新执行
+const idempotent = (scope) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > 128) return res.status(400).json({ success: false, msg: 'Idempotency-Key 过长' });
+
+    const requestHash = crypto.createHash('sha256')
+        .update(JSON.stringify(req.body || {}))
+        .update(req.file ? req.file.buffer : '')
+        .digest('hex');
+
+    try {
+        const inserted = await pool.query(
+            `INSERT INTO idempotency_keys (user_id, scope, key, request_hash) VALUES ($1, $2, $3, $4)
+             ON CONFLICT DO NOTHING RETURNING key`,
+            [req.userId, scope, key, requestHash]
+        );
+        if (inserted.rows.length === 0) {
+            const existing = (await pool.query(
+                'SELECT * FROM idempotency_keys WHERE user_id = $1 AND scope = $2 AND key = $3',
+                [req.userId, scope, key]
+            )).rows[0];
+            if (existing.request_hash !== requestHash) {
+                return res.status(422).json({ success: false, msg: 'Idempotency-Key 已用于不同的请求' });
+            }
+            if (existing.status === 'done') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.response_status).json(existing.response_body);
+            }
+            // 处理中：未超时则拒绝并发重复请求，超时则接管
+            const taken = await pool.query(
+                `UPDATE idempotency_keys SET updated_at = NOW() WHERE user_id = $1 AND scope = $2 AND key = $3
+                 AND status = 'processing' AND updated_at < NOW() - make_interval(secs => $4) RETURNING key`,
+                [req.userId, scope, key, IDEMPOTENCY_STALE_MS / 1000]
+            );
+            if (taken.rows.length === 0) return res.status(409).json({ success: false, msg: '请求正在处理中，请勿重复提交' });
+        }
+    } catch (e) {
+        console.error("Idempotency Error:", e);
+        return res.status(500).json({ success: false, msg: '服务器错误' });
+    }
+
+    // 拦截响应：成功 (或已提交) 则保存结果，未提交的失败删除 key 允许重试
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const ok = req.idempotencyCommitted || (res.statusCode < 400 && !(body && body.success === false));
+        const save = ok
+            ? pool.query(
+                "UPDATE idempotency_keys SET status = 'done', response_status = $1, response_body = $2, updated_at = NOW() WHERE user_id = $3 AND scope = $4 AND key = $5",
+                [res.statusCode, JSON.stringify(body), req.userId, scope, key]
+            )
+            : pool.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND scope = $2 AND key = $3', [req.userId, scope, key]);
+        save.catch(e => console.error("Idempotency Save Error:", e));
+        return originalJson(body);
+    };
+    next();
+};
+
+
+// ==========================================
+// 🛒 前端 API
+// ==========================================
+
+// 1. 公共数据
+app.get('/api/public/data', async (req, res) => {
+    try {
+        
+const prods = await pool.query('SELECT * FROM products ORDER BY is_pinned DESC, id DESC');
+const hiring = await pool.query('SELECT * FROM hiring');
+        
+        const rate = await getSetting('rate');
+        const feeRate = await getSetting('feeRate');
+        const announcement = await getSetting('announcement');
+        const popup = await getSetting('popup');
+        const wallet = await getSetting('walletAddress');
+
+        // [修改] 获取分类并按照数据库中的优先级排序
+        const distinctCats = [...new Set(prods.rows.map(p => p.category))];
+        const prioritiesRes = await pool.query('SELECT name, priority FROM categories');
+        const pMap = {};
+        prioritiesRes.rows.forEach(r => pMap[r.name] = r.priority);
+        const categories = distinctCats.sort((a, b) => (pMap[b] || 0) - (pMap[a] || 0));
+
+        res.json({
+            products: await productVariants.attachVariants(pool, prods.rows, { activeOnly: true }),
+            categories,
+            currencies: await publicCurrencies(),
+            paymentMethods: await publicPaymentMethods(),
+            hiring: hiring.rows,
+            rate: parseFloat(rate),
+            feeRate: parseFloat(feeRate),
+            announcement,
+            showPopup: popup === 'true',
+            wallet // 将钱包地址传给前端
+        });
+    } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+// 1.1 缺货登记 (到货提醒)
+// body: { productId, variantId?, contact?, sessionId? }；登录用户按账号登记，游客需填写联系方式
+// 旧版前端只传 productName，按商品名查找
+app.post('/api/notify-restock', restockLimiter, optionalUserAuth, async (req, res) => {
+    const { variantId, contact, sessionId, productName } = req.body;
+    try {
+        let productId = req.body.productId;
+        if (!productId && productName) {
+            const p = await pool.query('SELECT id FROM products WHERE name = $1 ORDER BY id DESC LIMIT 1', [productName]);
+            if (p.rows.length > 0) productId = p.rows[0].id;
+        }
+        if (!productId) return res.json({ success: false, msg: '商品不存在' });
+
+        const { product, created } = await restock.subscribe(pool, { productId, variantId, userId: req.userId, contact, sessionId });
+        if (!created) return res.json({ success: true, msg: '您已登记过该商品的到货提醒' });
+
+        // 只在新登记时通知群组，重复提交不刷屏
+        sendTgNotify(`📢 <b>缺货补货提醒</b>\n商品: ${product.name}\n客户: ${req.userId ? `用户 ${req.userId}` : ''} ${contact || ''}\n请尽快补货！`);
+        res.json({ success: true, msg: '登记成功，到货后会第一时间通知您' });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 1.2 裂变可视化数据 (按返利规则的层级展示多级下线)
+// 参数: page / pageSize 分页；from / to (YYYY-MM-DD) 统计该时间段内的返利
+app.get('/api/user/team', userAuth, async (req, res) => {
+    const userId = req.userId;
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20));
+        const parseDay = (v, endOfDay) => {
+            if (!v) return null;
+            const d = new Date(v);
+            if (isNaN(d.getTime())) throw new Error('日期格式错误');
+            // 只给日期时 to 包含当天
+            if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v)) d.setDate(d.getDate() + 1);
+            return d;
+        };
+        const from = parseDay(req.query.from, false);
+        const to = parseDay(req.query.to, true);
+        const maxLevel = await commission.getMaxLevel(pool);
+
+        // 获取我邀请的人 (含间接邀请)，level 1 为直接邀请
+        // earned: 累计返利；period_earned: from/to 时间段内的返利
+        const teamSql = `
+            WITH RECURSIVE team AS (
+                SELECT id, contact, created_at, invited_by, 1 AS level FROM users WHERE invited_by = $1
+                UNION ALL
+                SELECT u.id, u.contact, u.created_at, u.invited_by, t.level + 1
+                FROM users u JOIN team t ON u.invited_by = t.id
+                WHERE t.level < $2
+            ),
+            earned AS (
+                SELECT invitee_id,
+                       SUM(commission) AS lifetime,
+                       SUM(commission) FILTER (WHERE ($3::timestamp IS NULL OR created_at >= $3) AND ($4::timestamp IS NULL OR created_at < $4)) AS period,
+                       COUNT(*) AS times
+                FROM referral_commissions WHERE inviter_id = $1 GROUP BY invitee_id
+            )
+        `;
+        const teamRes = await pool.query(`${teamSql}
+            SELECT t.id, t.contact, t.created_at, t.level,
+                   COALESCE(e.lifetime, 0) AS earned, COALESCE(e.period, 0) AS period_earned, COALESCE(e.times, 0) AS times,
+                   COUNT(*) OVER() AS total_count
+            FROM team t LEFT JOIN earned e ON e.invitee_id = t.id
+            ORDER BY t.level ASC, t.created_at DESC
+            LIMIT $5 OFFSET $6
+        `, [userId, maxLevel, from, to, pageSize, (page - 1) * pageSize]);
+
+        // 各层级人数和收益 (不分页)
+        const levelRes = await pool.query(`${teamSql}
+            SELECT t.level, COUNT(*) AS count, COALESCE(SUM(e.lifetime), 0) AS earned, COALESCE(SUM(e.period), 0) AS period_earned
+            FROM team t LEFT JOIN earned e ON e.invitee_id = t.id
+            GROUP BY t.level ORDER BY t.level
+        `, [userId, maxLevel, from, to]);
+
+        // 间接下线只显示部分联系方式
+        const list = teamRes.rows.map(({ total_count, ...m }) => ({
+            ...m,
+            contact: m.level === 1 || !m.contact ? m.contact : m.contact.replace(/^(.{2}).*(.{2})$/, '$1****$2')
+        }));
+        
+        // 计算总收益 (累计 + 时间段内)
+        const totalRes = await pool.query(`
+            SELECT COALESCE(SUM(commission), 0) AS total,
+                   COALESCE(SUM(commission) FILTER (WHERE ($2::timestamp IS NULL OR created_at >= $2) AND ($3::timestamp IS NULL OR created_at < $3)), 0) AS period_total
+            FROM referral_commissions WHERE inviter_id = $1
+        `, [userId, from, to]);
+        
+        res.json({
+            success: true,
+            list,
+            levels: levelRes.rows.map(l => ({ level: l.level, count: parseInt(l.count), earned: parseFloat(l.earned), periodEarned: parseFloat(l.period_earned) })),
+            total: parseFloat(totalRes.rows[0].total),
+            periodTotal: parseFloat(totalRes.rows[0].period_total),
+            page,
+            pageSize,
+            totalCount: teamRes.rows.length > 0 ? parseInt(teamRes.rows[0].total_count) : 0
+        });
+    } catch(e) { res.json({success: false, msg: e.message, list: [], total: 0}); }
+});
+
+// 2. 注册
+app.post('/api/user/register', async (req, res) => {
+    // 用户ID由服务端生成，不再接受客户端传入的 uid
+    const { contact, password, inviteCode, source } = req.body; // 【修改】接收 source
+    try {
+        const check = await pool.query('SELECT id FROM users WHERE contact = $1', [contact]);
+        if(check.rows.length > 0) return res.json({success:false, msg:'用户已存在'});
+
+        const id = await nextUserId(pool);
+        // 安全修复：加密密码
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // 生成我的邀请码 (修改为4位随机码)
+        const myInviteCode = Math.random().toString(36).substring(2, 6).toUpperCase();
+        
+        let inviterId = null;
+        if (inviteCode) {
+            // [修改点]：强制转为大写，并去除空格
+            const upperInviteCode = inviteCode.toUpperCase().trim(); 
+            const inviterRes = await pool.query('SELECT id FROM users WHERE invite_code = $1', [upperInviteCode]);
+            if (inviterRes.rows.length > 0) inviterId = inviterRes.rows[0].id;
+        }
+
+       await pool.query(
+            'INSERT INTO users (id, contact, password, balance, invite_code, invited_by, source) VALUES ($1, $2, $3, 0, $4, $5, $6)', 
+            [id, contact, hashedPassword, myInviteCode, inviterId, source || 'xaw888.com'] // 【修改】写入来源
+        );
+        
+        // [新增] 通知后台有新用户
+        notifyAdminUpdate();
+
+        const session = await createUserSession(id);
+
+        res.json({ success: true, isNew: true, userId: id, uid: id, balance: 0, inviteCode: myInviteCode, ...session });
+    } catch(e) { res.json({success:false, msg: e.message}); }
+});
+
+// 3. 登录
+app.post('/api/user/login', async (req, res) => {
+    const { contact, password } = req.body;
+    try {
+        const resDb = await pool.query('SELECT * FROM users WHERE contact = $1', [contact]);
+        if(resDb.rows.length > 0) {
+            const u = resDb.rows[0];
+            // 安全修复：比对加密密码
+            const match = await bcrypt.compare(password, u.password);
+            if (match) {
+                const session = await createUserSession(u.id);
+                res.json({ success: true, userId: u.id, uid: u.id, balance: parseFloat(u.balance), inviteCode: u.invite_code, ...session });
             } else {
                 res.json({ success: false, msg: '账号或密码错误' });
             }
@@ -852,42 +1719,113 @@ app.post('/api/user/login', async (req, res) => {
     } catch(e) { res.json({success:false, msg: e.message}); }
 });
 
-app.delete('/api/admin/user/:id', adminAuth, async (req, res) => {
+// 3.1 刷新令牌 (每次刷新都会轮换刷新令牌，旧的立即失效)
+app.post('/api/user/refresh', async (req, res) => {
+    const [sessionId, secret] = (req.body.refreshToken || '').split('.');
+    if (!sessionId || !secret) return res.status(401).json({ success: false, msg: '登录已过期，请重新登录' });
     try {
-        const uid = req.params.id;
-        await pool.query('DELETE FROM users WHERE id = $1', [uid]);
-        await pool.query('DELETE FROM orders WHERE user_id = $1', [uid]);
-        await pool.query('DELETE FROM withdrawals WHERE user_id = $1', [uid]);
-        await pool.query('DELETE FROM chats WHERE session_id = $1', [`user_${uid}`]);
-        res.json({success: true});
+        const newSecret = crypto.randomBytes(32).toString('hex');
+        const result = await pool.query(
+            `UPDATE user_sessions SET refresh_hash = $1, last_used_at = NOW(), expires_at = NOW() + INTERVAL '${REFRESH_TOKEN_TTL_DAYS} days'
+             WHERE id = $2 AND refresh_hash = $3 AND revoked_at IS NULL AND expires_at > NOW()
+             RETURNING user_id`,
+            [hashToken(newSecret), sessionId, hashToken(secret)]
+        );
+        if (result.rows.length === 0) return res.status(401).json({ success: false, msg: '登录已过期，请重新登录' });
+
+        const userId = result.rows[0].user_id;
+        res.json({ success: true, token: signAccessToken(userId, sessionId), refreshToken: `${sessionId}.${newSecret}`, expiresIn: ACCESS_TOKEN_TTL });
+    } catch(e) { res.json({success:false, msg: e.message}); }
+});
+
+// 3.2 退出登录 (注销当前会话)
+app.post('/api/user/logout', userAuth, async (req, res) => {
+    try {
+        await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1', [req.sessionId]);
+        res.json({ success: true });
+    } catch(e) { res.json({success:false, msg: e.message}); }
+});
+
+app.delete('/api/admin/user/:id', adminAuth, requirePerm('user.delete'), async (req, res) => {
+    const uid = req.params.id;
+    const actor = `admin:${req.admin.username}`;
+    // 【修改】锁定用户、关闭未完成订单、销户清零和删除数据在同一个事务中完成
+    const client = await pool.connect();
+    let cancelled = 0;
+    try {
+        await client.query('BEGIN');
+        const before = await client.query('SELECT id, contact, balance, invited_by FROM users WHERE id = $1 FOR UPDATE', [uid]);
+        if (before.rows.length === 0) throw new Error('用户不存在');
+        await logAudit(client, adminActor(req), 'user.delete', 'user', uid, before.rows[0]);
+
+        // 未完成的订单先经状态机取消：释放预留库存/卡密和优惠券，余额抵扣部分退回余额
+        const openRes = await client.query(
+            'SELECT order_id FROM orders WHERE user_id = $1 AND status = ANY($2) ORDER BY created_at ASC',
+            [uid, [ORDER_STATUS.PENDING, ORDER_STATUS.REVIEW]]
+        );
+        for (const o of openRes.rows) {
+            await transitionOrder(client, o.order_id, 'cancel', { actor, note: '删除用户' });
+            cancelled++;
+        }
+
+        // 删除前把剩余余额 (含上面退回的部分) 记一笔销户调账，保持账本平衡
+        const balRes = await client.query('SELECT balance FROM users WHERE id = $1', [uid]);
+        if (parseFloat(balRes.rows[0].balance) !== 0) {
+            await ledger.postBalanceChange(client, {
+                userId: uid, amount: -balRes.rows[0].balance, counterAccount: ledger.ACCOUNTS.ADJUSTMENTS,
+                type: '销户清零', remark: `管理员 ${req.admin.username} 删除用户`, ref: `user:${uid}`
+            });
+        }
+
+        const orderIdsSql = 'SELECT order_id FROM orders WHERE user_id = $1';
+        await client.query(`DELETE FROM order_items WHERE order_id IN (${orderIdsSql})`, [uid]);
+        await client.query(`DELETE FROM order_events WHERE order_id IN (${orderIdsSql})`, [uid]);
+        await client.query(`DELETE FROM refunds WHERE order_id IN (${orderIdsSql})`, [uid]);
+        await client.query('DELETE FROM orders WHERE user_id = $1', [uid]);
+        await client.query('DELETE FROM withdrawals WHERE user_id = $1', [uid]);
+        await client.query('DELETE FROM chats WHERE session_id = $1', [`user_${uid}`]);
+        await client.query('DELETE FROM user_sessions WHERE user_id = $1', [uid]);
+        await client.query('DELETE FROM users WHERE id = $1', [uid]);
+        await client.query('COMMIT');
     } catch(e) {
-        res.status(500).json({success: false, msg: e.message});
+        await client.query('ROLLBACK');
+        return res.status(500).json({success: false, msg: e.message});
+    } finally {
+        client.release();
     }
+
+    // 释放了预留库存时刷新前台库存
+    if (cancelled > 0) broadcastGlobalUpdate().catch(e => console.error(e));
+    notifyAdminUpdate();
+    res.json({success: true, cancelledOrders: cancelled});
 });
 
 // 4. 获取余额
-app.get('/api/user/balance', async (req, res) => {
+app.get('/api/user/balance', userAuth, async (req, res) => {
     try {
-        const resDb = await pool.query('SELECT balance FROM users WHERE id = $1', [req.query.userId]);
+        const resDb = await pool.query('SELECT balance FROM users WHERE id = $1', [req.userId]);
         if(resDb.rows.length > 0) res.json({ success: true, balance: parseFloat(resDb.rows[0].balance) });
         else res.json({ success: false });
     } catch(e) { res.json({success:false}); }
 });
 
 // 5. 修改密码 (前端要求直接修改)
-app.post('/api/user/change-password', async (req, res) => {
-    const { userId, oldPassword, newPassword } = req.body;
+app.post('/api/user/change-password', userAuth, async (req, res) => {
+    const { oldPassword, newPassword } = req.body;
+    const userId = req.userId;
     try {
-        // 先验证旧密码
+        if (!newPassword) return res.json({success: false, msg: '新密码不能为空'});
+        // 先验证旧密码 (【修改】密码是 bcrypt 哈希，必须用 compare 比对)
         const userRes = await pool.query('SELECT password FROM users WHERE id = $1', [userId]);
         if (userRes.rows.length === 0) return res.json({success: false, msg: '用户不存在'});
         
-        if (userRes.rows[0].password !== oldPassword) {
+        if (!oldPassword || !(await bcrypt.compare(oldPassword, userRes.rows[0].password))) {
             return res.json({success: false, msg: '旧密码错误'});
         }
 
-        // 更新密码
-        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [newPassword, userId]);
+        // 更新密码 (加密保存)，并注销该用户的其他会话，只保留当前登录
+        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await bcrypt.hash(newPassword, 10), userId]);
+        await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL', [userId, req.sessionId]);
         res.json({success: true, msg: '修改成功'});
     } catch (e) {
         console.error(e);
@@ -895,122 +1833,201 @@ app.post('/api/user/change-password', async (req, res) => {
     }
 });
 
+// 按数据库中的真实价格生成订单明细 (下单和优惠码预览共用)
+// 返回 { prodName, amount, lines }，商品不存在或库存不足时报错
+const buildOrderLines = async (db, { productId, variantId, cartItems }) => {
+    let prodName = "";
+    let amount = 0;
+    const lines = []; // 订单明细
+
+    // 逻辑分支：购物车结算 vs 单品购买
+    if (productId === 'cart') {
+        prodName = "购物车商品";
+        if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
+            throw new Error("购物车为空");
+        }
+
+        // 提取ID并查询数据库真实价格
+        const itemIds = cartItems.map(i => i.id);
+        const dbProdsRes = await db.query('SELECT id, price, name, stock, image_url, category FROM products WHERE id = ANY($1)', [itemIds]);
+        const dbProds = dbProdsRes.rows;
+
+        for (const item of cartItems) {
+            // [安全修复] 校验购买数量必须为正整数
+            const qty = parseInt(item.quantity);
+            if (!(qty > 0)) throw new Error(`商品数量必须大于0`);
+
+            // 强制转换 ID 为字符串进行比较
+            const dbItem = dbProds.find(p => p.id.toString() === item.id.toString());
+            if (!dbItem) throw new Error(`商品ID ${item.id} 已下架`);
+
+            // [新增] 有规格的商品按规格计价
+            const { variant } = await productVariants.resolveForOrder(db, dbItem, item.variantId);
+            if (variant) {
+                if (variant.stock < qty) throw new Error(`商品 ${dbItem.name} (${variant.name}) 库存不足`);
+                amount += parseFloat(variant.price) * qty;
+                lines.push({ productId: dbItem.id, variantId: variant.id, sku: variant.sku, name: `${dbItem.name} (${variant.name})`, price: variant.price, quantity: qty, imageUrl: dbItem.image_url, category: dbItem.category });
+                continue;
+            }
+            if (dbItem.stock < qty) throw new Error(`商品 ${dbItem.name} 库存不足`);
+
+            // 后端累加价格 (安全核心)
+            amount += parseFloat(dbItem.price) * qty;
+            lines.push({ productId: dbItem.id, name: dbItem.name, price: dbItem.price, quantity: qty, imageUrl: dbItem.image_url, category: dbItem.category });
+        }
+    } else {
+        // 单品购买
+        const prodRes = await db.query('SELECT * FROM products WHERE id = $1', [productId]);
+        const prod = prodRes.rows[0];
+        if(prod) {
+            const { variant } = await productVariants.resolveForOrder(db, prod, variantId);
+            if (variant) {
+                // [新增] 按所选规格计价
+                if (variant.stock <= 0) throw new Error('商品库存不足');
+                prodName = `${prod.name} (${variant.name})`;
+                amount = parseFloat(variant.price);
+                lines.push({ productId: prod.id, variantId: variant.id, sku: variant.sku, name: prodName, price: variant.price, quantity: 1, imageUrl: prod.image_url, category: prod.category });
+            } else {
+                if (prod.stock <= 0) throw new Error('商品库存不足');
+                prodName = prod.name;
+                amount = parseFloat(prod.price);
+                lines.push({ productId: prod.id, name: prod.name, price: prod.price, quantity: 1, imageUrl: prod.image_url, category: prod.category });
+            }
+        } else {
+            throw new Error('商品不存在');
+        }
+    }
+
+    return { prodName, amount, lines };
+};
+
 // 6. 提交订单 (安全修复版)
-app.post('/api/order', async (req, res) => {
+app.post('/api/order', userAuth, idempotent('order'), async (req, res) => {
     // 接收 cartItems 而不是 totalAmount
     // 【修改】下方增加了 source
-    const { userId, productId, cartItems, paymentMethod, shippingInfo, useBalance, contactInfo, source } = req.body;
+    const userId = req.userId;
+    const { productId, variantId, cartItems, paymentMethod, shippingInfo, useBalance, contactInfo, source, couponCode } = req.body;
     
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN'); // 开启事务
 
-        const userRes = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+        // 【修改】锁定用户行，并发下单时余额抵扣按最新余额计算
+        const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
         const user = userRes.rows[0];
         
-        let prodName = "";
-        let amount = 0;
-
-        // 逻辑分支：购物车结算 vs 单品购买
-        if (productId === 'cart') {
-            prodName = "购物车商品";
-            if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
-                throw new Error("购物车为空");
-            }
-
-            // 提取ID并查询数据库真实价格
-            const itemIds = cartItems.map(i => i.id);
-            const dbProdsRes = await client.query('SELECT id, price, name, stock FROM products WHERE id = ANY($1)', [itemIds]);
-            const dbProds = dbProdsRes.rows;
-
-            for (const item of cartItems) {
-                // [安全修复] 校验购买数量必须为正整数
-                if (parseInt(item.quantity) <= 0) throw new Error(`商品数量必须大于0`);
-
-                // 强制转换 ID 为字符串进行比较
-                const dbItem = dbProds.find(p => p.id.toString() === item.id.toString());
-                if (!dbItem) throw new Error(`商品ID ${item.id} 已下架`);
-                if (dbItem.stock < item.quantity) throw new Error(`商品 ${dbItem.name} 库存不足`);
-                
-                // 后端累加价格 (安全核心)
-                amount += parseFloat(dbItem.price) * parseInt(item.quantity);
-                
-                // 扣减库存
-                await client.query('UPDATE products SET stock = stock - $1 WHERE id = $2', [item.quantity, item.id]);
-            }
-        } else {
-            // 单品购买
-            const prodRes = await client.query('SELECT * FROM products WHERE id = $1', [productId]);
-            const prod = prodRes.rows[0];
-            if(prod) {
-                if (prod.stock <= 0) throw new Error('商品库存不足');
-                prodName = prod.name;
-                amount = parseFloat(prod.price);
-                // [安全修复] 确保库存不会被扣减为负数 (虽然上面检查了，但为了数据库安全建议加个保险)
-                await client.query('UPDATE products SET stock = GREATEST(0, stock - 1) WHERE id = $1', [productId]);
-            } else {
-                throw new Error('商品不存在');
-            }
+        const built = await buildOrderLines(client, { productId, variantId, cartItems });
+        const { prodName, lines } = built;
+        let amount = built.amount;
+
+        // [新增] 优惠券：在订单事务中锁定并校验 (次数限制在并发下也准确)，折扣从商品总价中扣除
+        const subtotal = amount;
+        let promo = null;
+        if (couponCode) {
+            promo = await promotions.quote(client, { code: couponCode, userId, lines, forUpdate: true });
+            amount = promo.total;
         }
 
+        // 订单号：前缀 + 日期 + 序号 + 校验位 (数据库序列生成，不会重复)
+        const orderId = await orderIds.next(client);
+
         let finalUSDT = amount;
+        let balancePaid = 0;
         if(useBalance && user && parseFloat(user.balance) > 0) {
             const deduct = Math.min(parseFloat(user.balance), amount);
             finalUSDT -= deduct;
-            // 扣余额
-            await client.query('UPDATE users SET balance = balance - $1 WHERE id = $2', [deduct, userId]);
-            // 记录资金明细
-            await logBalance(client, userId, '购物消费', -deduct, `订单 ${prodName} 余额抵扣`);
+            balancePaid = deduct;
+            // 扣余额 (记账 + 资金明细)
+            await ledger.postBalanceChange(client, {
+                userId, amount: -deduct, counterAccount: ledger.ACCOUNTS.SALES,
+                type: '购物消费', remark: `订单 ${orderId} ${prodName} 余额抵扣`, ref: `order:${orderId}`
+            });
         }
 
-        const rate = parseFloat(await getSetting('rate'));
-        const feeRate = parseFloat(await getSetting('feeRate'));
-        const cnyAmount = (finalUSDT * rate * (1 + feeRate/100)).toFixed(2);
-        
-        // 改良：XAW-5位随机数字
-        const orderId = 'XAW-' + Math.floor(10000 + Math.random() * 90000);
-        const wallet = await getSetting('walletAddress');
-        const finalShippingInfo = { ...shippingInfo, contact_method: contactInfo };
-
-        let orderStatus = '待支付';
-        if (finalUSDT <= 0) {
-            orderStatus = '已支付';
-            // 新增：余额全额支付成功，触发消费返利
-            // 注意：这里按商品原价(amount)算返利，还是按实际付出的余额(deduct)算？通常按商品价值算比较大方，或者按deduct算。
-            // 这里我们按商品总价值 amount 计算，刺激消费。
-            // 由于事务还没提交，我们最好在在这里不await这个辅助函数以免死锁，或者放在COMMIT之后。
-            // 为了安全，建议放在 COMMIT 之后执行。
+        // [新增] 支付方式必须已登记并启用：校验单笔限额，手续费加在应付金额上 (余额全额抵扣时不需要支付方式)
+        let payment = null;
+        if (finalUSDT > 0) {
+            payment = await paymentMethods.quote(client, { method: paymentMethod, amount: finalUSDT });
+            finalUSDT = payment.total;
+        }
+        const methodCode = payment ? payment.method.code : (paymentMethod || null);
+
+        // USDT 支付：分配收款地址和唯一金额，便于链上自动对账
+        let wallet = await getSetting('walletAddress');
+        if (payment && payment.method.type === 'usdt') {
+            const alloc = await allocateUsdtPayment(client, finalUSDT);
+            wallet = alloc.wallet;
+            finalUSDT = alloc.usdtAmount;
         }
 
-        // 插入订单
+        // [修改] 按支付方式对应币种的汇率和手续费换算，并把汇率快照保存到订单
+        const fiat = await quoteOrderFiat(client, finalUSDT, methodCode);
+        const cnyAmount = fiat.cnyAmount;
+        const finalShippingInfo = { ...shippingInfo, contact_method: contactInfo };
+
+        // 插入订单 (统一以待支付创建，再经状态机流转)
         // 【修改】增加了 source 字段
         await client.query(
-            `INSERT INTO orders (order_id, user_id, product_name, payment_method, usdt_amount, cny_amount, status, shipping_info, wallet, source, expires_at) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + INTERVAL '30 minutes')`,
-            [orderId, userId, prodName, paymentMethod, finalUSDT.toFixed(4), cnyAmount, orderStatus, JSON.stringify(finalShippingInfo), wallet, source || 'xaw888.com']
+            `INSERT INTO orders (order_id, user_id, product_name, payment_method, usdt_amount, cny_amount, balance_paid, status, shipping_info, wallet, source, expires_at, subtotal, discount_amount, coupon_code,
+                                 currency, fx_rate, fx_fee_rate, fiat_amount, payment_fee) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, '待支付', $8, $9, $10, NOW() + INTERVAL '30 minutes', $11, $12, $13, $14, $15, $16, $17, $18)`,
+            [orderId, userId, prodName, methodCode, finalUSDT.toFixed(4), cnyAmount, balancePaid.toFixed(4), JSON.stringify(finalShippingInfo), wallet, source || 'xaw888.com',
+             subtotal.toFixed(4), promo ? promo.discount.toFixed(4) : '0', promo ? promo.coupon.code : null,
+             fiat.currency, fiat.rate, fiat.feeRate, fiat.fiatAmount.toFixed(2), payment ? payment.fee.toFixed(4) : '0']
         );
+        // [新增] 收款码池：自动分配收款码，池子空了才需要客服手动上传
+        const qrCode = payment && payment.method.type === 'qr_pool'
+            ? await paymentMethods.assignQrCode(client, { orderId, methodId: payment.method.id })
+            : null;
+        if (promo) await promotions.redeem(client, { coupon: promo.coupon, orderId, userId, discount: promo.discount });
+        for (const line of lines) {
+            await client.query(
+                'INSERT INTO order_items (order_id, product_id, variant_id, sku, product_name, unit_price, quantity, image_url) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+                [orderId, line.productId, line.variantId || null, line.sku || null, line.name, line.price, line.quantity, line.imageUrl]
+            );
+        }
+        // [新增] 预留库存 (卡密商品预留卡密)，付款后出库，关闭/取消时释放；库存不足时整单回滚
+        await inventory.holdOrder(client, orderId, `user:${userId}`);
+        await recordOrderEvent(client, orderId, 'create', null, ORDER_STATUS.PENDING, `user:${userId}`);
+
+        // 余额全额抵扣：直接流转为已支付 (返利在同一事务中发放，提交后由 afterOrderTransition 通知)
+        let paidResult = null;
+        if (finalUSDT <= 0) {
+            paidResult = await markOrderPaid(client, orderId, { actor: `user:${userId}`, note: '余额全额抵扣' });
+        }
+        const orderStatus = paidResult ? paidResult.to : ORDER_STATUS.PENDING;
 
         await client.query('COMMIT');
+        req.idempotencyCommitted = true;
 
-        // === 新增代码开始 ===
-        if (orderStatus === '已支付') {
-            // 异步执行返利，不阻塞订单响应
-            handleReferralBonus(userId, amount, '消费'); 
+        if (paidResult) {
+            afterOrderTransition(paidResult).catch(e => console.error("After Transition Error:", e));
         }
-        // === 新增代码结束 ===
 
-        let tgMsg = `🆕 <b>新订单提醒</b>\n\n单号: <code>${orderId}</code>\n用户: ${user ? user.contact : userId}\n联系: ${contactInfo}\n商品: ${prodName}\n需付: ${finalUSDT.toFixed(4)} USDT`;
-        if (finalUSDT <= 0) tgMsg += `\n✅ <b>余额全额抵扣，请直接发货</b>`;
-        sendTgNotify(tgMsg);
-
-        // [新增] 通知后台有新订单
-        notifyAdminUpdate();
+        // 订单已提交，通知失败不影响下单结果
+        try {
+            let tgMsg = `🆕 <b>新订单提醒</b>\n\n单号: <code>${orderId}</code>\n用户: ${user ? user.contact : userId}\n联系: ${contactInfo}\n商品:\n${formatOrderItems(lines.map(l => ({ product_name: l.name, quantity: l.quantity, unit_price: l.price })))}${promo ? `\n优惠: ${promo.coupon.code} -${promo.discount.toFixed(4)} USDT` : ''}\n需付: ${finalUSDT.toFixed(4)} USDT`;
+            if (orderStatus === ORDER_STATUS.SHIPPED) tgMsg += `\n✅ <b>余额全额抵扣，卡密已自动发货</b>`;
+            else if (finalUSDT <= 0) tgMsg += `\n✅ <b>余额全额抵扣，请直接发货</b>`;
+            else tgMsg += `\n支付方式: ${payment.method.name}${payment.fee > 0 ? ` (含手续费 ${payment.fee} USDT)` : ''}`;
+            if (payment && payment.method.type === 'qr_pool' && !qrCode) tgMsg += `\n⚠️ <b>${payment.method.name} 收款码池已空，请手动上传收款码</b>`;
+            sendTgNotify(tgMsg);
+
+            // [新增] 通知后台有新订单
+            notifyAdminUpdate();
+        } catch (e) {
+            console.error("New Order Notify Error:", e);
+        }
 
-        res.json({ success: true, orderId, usdtAmount: finalUSDT.toFixed(4), cnyAmount, wallet, status: orderStatus });
+        res.json({
+            success: true, orderId, usdtAmount: finalUSDT.toFixed(4), cnyAmount, wallet, status: orderStatus, discount: promo ? promo.discount.toFixed(4) : '0.0000',
+            currency: fiat.currency, fiatAmount: fiat.fiatAmount.toFixed(2),
+            paymentFee: payment ? payment.fee.toFixed(4) : '0.0000', qrcodeUrl: qrCode ? qrCode.image_url : null
+        });
 
     } catch(e) {
-        await client.query('ROLLBACK');
+        if (!req.idempotencyCommitted) await client.query('ROLLBACK');
         console.error(e); 
         res.json({success:false, msg: e.message}); 
     } finally {
@@ -1018,22 +2035,45 @@ app.post('/api/order', async (req, res) => {
     }
 });
 
+// 6.1 优惠码预览：按当前购物车 (或单品) 计算折扣，不占用使用次数
+// body: { code, productId, variantId, cartItems } (与下单参数相同)
+app.post('/api/coupon/preview', userAuth, async (req, res) => {
+    const { code, productId, variantId, cartItems } = req.body;
+    try {
+        const { lines } = await buildOrderLines(pool, { productId, variantId, cartItems });
+        const q = await promotions.quote(pool, { code, userId: req.userId, lines });
+        res.json({
+            success: true,
+            code: q.coupon.code,
+            name: q.coupon.name,
+            subtotal: q.subtotal.toFixed(4),
+            eligibleSubtotal: q.eligibleSubtotal.toFixed(4),
+            discount: q.discount.toFixed(4),
+            total: q.total.toFixed(4)
+        });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
 // 7. 获取订单
-app.get('/api/order', async (req, res) => {
+app.get('/api/order', userAuth, async (req, res) => {
     try {
+        // 旧订单没有明细，仍按商品名取图片
         const result = await pool.query(`
             SELECT orders.*, products.image_url 
             FROM orders 
             LEFT JOIN products ON orders.product_name = products.name 
             WHERE orders.user_id = $1 
             ORDER BY orders.created_at DESC
-        `, [req.query.userId]);
-        res.json(result.rows);
+        `, [req.userId]);
+        res.json(await attachOrderItems(pool, result.rows));
     } catch(e) { res.json([]); }
 });
 
-app.post('/api/order/cancel', async (req, res) => {
-    const { orderId, userId } = req.body;
+app.post('/api/order/cancel', userAuth, async (req, res) => {
+    const { orderId } = req.body;
+    const userId = req.userId;
     try {
         const orderRes = await pool.query('SELECT * FROM orders WHERE order_id = $1 AND user_id = $2', [orderId, userId]);
         const order = orderRes.rows[0];
@@ -1042,16 +2082,8 @@ app.post('/api/order/cancel', async (req, res) => {
         if (order.status !== '待支付') return res.json({ success: false, msg: '无法取消该订单' });
 
         // [修改] 用户自己取消，状态设为“已关闭”，避免前端显示红色警告
-        await pool.query("UPDATE orders SET status = '已关闭' WHERE order_id = $1", [orderId]);
-
-        if (order.product_name !== '余额充值' && order.product_name !== '购物车商品') {
-            await pool.query("UPDATE products SET stock = stock + 1 WHERE name = $1", [order.product_name]);
-        }
-
-        // [新增] 用户取消订单后，通知后台管理员刷新界面
-        notifyAdminUpdate();
-
-        const paidBalance = parseFloat(order.usdt_amount) - parseFloat(order.cny_amount / 7.0); 
+        // 状态机会恢复库存、退回余额抵扣部分，并通知后台刷新
+        await runOrderTransition(orderId, 'close', { actor: `user:${userId}`, note: '用户取消' });
 
         res.json({ success: true });
     } catch (e) {
@@ -1059,42 +2091,86 @@ app.post('/api/order/cancel', async (req, res) => {
     }
 });
 
-app.post('/api/recharge', async (req, res) => {
-    const { userId, amount, method } = req.body;
+app.post('/api/recharge', userAuth, idempotent('recharge'), async (req, res) => {
+    const { amount, method } = req.body;
+    const userId = req.userId;
     try {
         const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
         const user = userRes.rows[0];
         if(!user) return res.json({success:false, msg:'User not found'});
 
-        const usdtAmount = parseFloat(amount);
-        const rate = parseFloat(await getSetting('rate'));
-        const cnyAmount = (usdtAmount * rate).toFixed(2);
-        
-        // 统一格式 XAW-5位随机数字
-        const orderId = 'XAW-' + Math.floor(10000 + Math.random() * 90000);
-        const wallet = await getSetting('walletAddress');
+        let usdtAmount = parseFloat(amount);
+        if (isNaN(usdtAmount) || usdtAmount <= 0) return res.json({success:false, msg:'金额必须大于0'});
 
-        await pool.query(
-            `INSERT INTO orders (order_id, user_id, product_name, payment_method, usdt_amount, cny_amount, wallet, expires_at) 
-             VALUES ($1, $2, '余额充值', $3, $4, $5, $6, NOW() + INTERVAL '30 minutes')`,
-       [orderId, userId, method, usdtAmount.toFixed(4), cnyAmount, wallet]
-        );
+        // 订单号：前缀 + 日期 + 序号 + 校验位 (与商品订单共用序列)
+        const orderId = await rechargeIds.next(pool);
+        let wallet = await getSetting('walletAddress');
+        let cnyAmount;
+        let fiat;
+        let payment;
+        let qrCode = null;
 
-        sendTgNotify(`💰 <b>新充值订单</b>\n单号: <code>${orderId}</code>\n用户: ${user.contact}\n金额: ${usdtAmount} USDT`);
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // [新增] 校验支付方式和单笔限额；手续费由用户承担，到账金额仍为充值金额
+            payment = await paymentMethods.quote(client, { method, amount: usdtAmount });
+            usdtAmount = payment.total;
+            // USDT 充值：分配唯一金额，便于链上自动到账
+            if (payment.method.type === 'usdt') {
+                const alloc = await allocateUsdtPayment(client, usdtAmount);
+                wallet = alloc.wallet;
+                usdtAmount = alloc.usdtAmount;
+            }
+            // [修改] 充值同样按币种汇率计算，并计入手续费 (之前漏算了 feeRate)
+            fiat = await quoteOrderFiat(client, usdtAmount, payment.method.code);
+            cnyAmount = fiat.cnyAmount;
+
+            await client.query(
+                `INSERT INTO orders (order_id, user_id, product_name, payment_method, usdt_amount, cny_amount, wallet, expires_at, currency, fx_rate, fx_fee_rate, fiat_amount, payment_fee) 
+                 VALUES ($1, $2, '余额充值', $3, $4, $5, $6, NOW() + INTERVAL '30 minutes', $7, $8, $9, $10, $11)`,
+           [orderId, userId, payment.method.code, usdtAmount.toFixed(4), cnyAmount, wallet, fiat.currency, fiat.rate, fiat.feeRate, fiat.fiatAmount.toFixed(2), payment.fee.toFixed(4)]
+            );
+            if (payment.method.type === 'qr_pool') {
+                qrCode = await paymentMethods.assignQrCode(client, { orderId, methodId: payment.method.id });
+            }
+            await recordOrderEvent(client, orderId, 'create', null, ORDER_STATUS.PENDING, `user:${userId}`);
+            await client.query('COMMIT');
+            req.idempotencyCommitted = true;
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        let tgMsg = `💰 <b>新充值订单</b>\n单号: <code>${orderId}</code>\n用户: ${user.contact}\n金额: ${usdtAmount} USDT\n支付方式: ${payment.method.name}${payment.fee > 0 ? ` (含手续费 ${payment.fee} USDT)` : ''}`;
+        if (payment.method.type === 'qr_pool' && !qrCode) tgMsg += `\n⚠️ <b>${payment.method.name} 收款码池已空，请手动上传收款码</b>`;
+        sendTgNotify(tgMsg);
         
         // [新增] 通知后台有充值
         notifyAdminUpdate();
 
-        res.json({ success: true, orderId, usdtAmount: usdtAmount.toFixed(4), cnyAmount, wallet });
+        res.json({
+            success: true, orderId, usdtAmount: usdtAmount.toFixed(4), cnyAmount, wallet, currency: fiat.currency, fiatAmount: fiat.fiatAmount.toFixed(2),
+            paymentFee: payment.fee.toFixed(4), qrcodeUrl: qrCode ? qrCode.image_url : null
+        });
     } catch(e) { res.json({success:false, msg: e.message}); }
 });
 
-app.get('/api/user/records', async (req, res) => {
-    const { userId, type } = req.query; 
+app.get('/api/user/records', userAuth, async (req, res) => {
+    const { type } = req.query;
+    const userId = req.userId;
     try {
         if (type === 'withdraw') {
-            const result = await pool.query('SELECT * FROM withdrawals WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
-            res.json(result.rows);
+            // 不返回审批人/风控标记等内部字段
+            const result = await pool.query(
+                `SELECT id, amount, fee, net_amount, address, status, created_at, processed_at,
+                        payout_tx_hash, payout_proof_url, paid_at
+                 FROM withdrawals WHERE user_id = $1 ORDER BY created_at DESC`,
+                [userId]
+            );
+            res.json(result.rows.map(w => ({ ...w, payout_explorer_url: txExplorerUrl(w.payout_tx_hash) })));
         } else if (type === 'recharge') {
             const result = await pool.query("SELECT * FROM orders WHERE user_id = $1 AND product_name = '余额充值' ORDER BY created_at DESC", [userId]);
             res.json(result.rows);
@@ -1105,8 +2181,8 @@ app.get('/api/user/records', async (req, res) => {
 });
 
 // 用户获取自己的资金明细
-app.get('/api/user/balance_logs', async (req, res) => {
-    const { userId } = req.query;
+app.get('/api/user/balance_logs', userAuth, async (req, res) => {
+    const userId = req.userId;
     try {
         const result = await pool.query('SELECT * FROM balance_logs WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50', [userId]);
         res.json(result.rows);
@@ -1114,18 +2190,30 @@ app.get('/api/user/balance_logs', async (req, res) => {
 });
 
 // 8. 确认支付凭证
-app.post('/api/order/confirm-payment', upload.single('file'), async (req, res) => {
+app.post('/api/order/confirm-payment', userAuth, upload.single('file'), async (req, res) => {
     try {
         const orderId = req.body.orderId;
-        const userId = req.body.userId;
+        const userId = req.userId;
         
         if (!req.file) {
             return res.json({success:false, msg:'请选择图片'});
         }
 
+        const ownRes = await pool.query('SELECT 1 FROM orders WHERE order_id = $1 AND user_id = $2', [orderId, userId]);
+        if (ownRes.rows.length === 0) return res.json({success:false, msg:'订单不存在'});
+
+        // [修改] 先流转为待审核 (只有待支付订单可以提交凭证)，proof 字段只存标记，不存文件
+        try {
+            await runOrderTransition(orderId, 'submit_proof', { actor: `user:${userId}`, fields: { proof: 'TG_SENT' } });
+        } catch (err) {
+            return res.json({success:false, msg: err.message});
+        }
+
        try {
+            const itemsRes = await pool.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id ASC', [orderId]);
+            const itemsText = itemsRes.rows.length > 0 ? `\n商品:\n${formatOrderItems(itemsRes.rows)}` : '';
             await bot.sendPhoto(TG_ADMIN_GROUP_ID, req.file.buffer, {
-                caption: `📸 <b>收到支付凭证</b>\n单号: <code>${orderId}</code>\n用户ID: ${userId}\n请核对金额后在后台确认。`,
+                caption: `📸 <b>收到支付凭证</b>\n单号: <code>${orderId}</code>\n用户ID: ${userId}${itemsText}\n请核对金额后在后台确认。`,
                 parse_mode: 'HTML',
                 reply_markup: {
                     inline_keyboard: [[
@@ -1138,10 +2226,6 @@ app.post('/api/order/confirm-payment', upload.single('file'), async (req, res) =
             console.error("TG发送失败:", tgErr);
         }
 
-        // [修改] 确保状态更新为待审核，proof 字段只存标记，不存文件
-        await pool.query("UPDATE orders SET proof = 'TG_SENT', status = '待审核' WHERE order_id = $1", [orderId]);
-        
-		notifyAdminUpdate();
 		res.json({success:true});
     } catch(e) { 
         console.error(e);
@@ -1151,15 +2235,67 @@ app.post('/api/order/confirm-payment', upload.single('file'), async (req, res) =
 });
 
 // 9. 二维码异常
-app.post('/api/order/report-qr-issue', async (req, res) => {
-    sendTgNotify(`🚨 <b>二维码异常反馈</b>\n单号: <code>${req.body.orderId}</code>`);
-    res.json({success:true});
+// 【修改】收款码来自收款码池时，该码移出池子 (等后台核实) 并给订单换一个新的收款码
+app.post('/api/order/report-qr-issue', userAuth, async (req, res) => {
+    const { orderId } = req.body;
+    const client = await pool.connect();
+    let order, result = null;
+    try {
+        await client.query('BEGIN');
+        const orderRes = await client.query('SELECT * FROM orders WHERE order_id = $1 AND user_id = $2 FOR UPDATE', [orderId, req.userId]);
+        order = orderRes.rows[0];
+        if (!order) {
+            await client.query('ROLLBACK');
+            return res.json({ success: false, msg: '订单不存在' });
+        }
+        if (order.qr_code_id && order.status === ORDER_STATUS.PENDING) {
+            result = await paymentMethods.reportQrCode(client, order);
+            if (result.next) await client.query("UPDATE orders SET expires_at = NOW() + INTERVAL '30 minutes' WHERE order_id = $1", [orderId]);
+            await recordOrderEvent(client, orderId, 'qr_report', order.status, order.status, `user:${req.userId}`,
+                `收款码 #${order.qr_code_id} 异常${result.next ? `，已更换为 #${result.next.id}` : '，收款码池已空'}`);
+        }
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        console.error(e);
+        return res.json({ success: false, msg: e.message });
+    } finally {
+        client.release();
+    }
+
+    let tgMsg = `🚨 <b>二维码异常反馈</b>\n单号: <code>${orderId}</code>`;
+    if (result && result.reported) {
+        tgMsg += `\n收款码 #${result.reported.id} 已移出收款码池 (累计反馈 ${result.reported.report_count} 次)，请核实后在后台恢复或停用`;
+        tgMsg += result.next ? `\n已自动更换为收款码 #${result.next.id}` : `\n⚠️ <b>收款码池已空，请手动上传收款码</b>`;
+        io.to(`user_${order.user_id}`).emit('order_update');
+        notifyAdminUpdate();
+    }
+    sendTgNotify(tgMsg);
+    res.json({ success: true, qrcodeUrl: result && result.next ? result.next.image_url : null });
 });
 
 // 10. 提现申请
-app.post('/api/withdraw', upload.single('file'), async (req, res) => {
+// [新增] 提现规则 (前端展示最低/最高金额和手续费)
+app.get('/api/withdraw/policy', userAuth, async (req, res) => {
+    try {
+        const policy = await withdrawalPolicy.getPolicy(pool);
+        res.json({
+            success: true,
+            min: policy.withdrawMin,
+            max: policy.withdrawMax,
+            dailyCap: policy.withdrawDailyCap,
+            feeRate: policy.withdrawFeeRate,
+            feeFixed: policy.withdrawFeeFixed,
+            coolingHours: policy.withdrawCoolingHours
+        });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+app.post('/api/withdraw', userAuth, upload.single('file'), idempotent('withdraw'), async (req, res) => {
     try {
-        const userId = req.body.userId;
+        const userId = req.userId;
         const amount = parseFloat(req.body.amount);
         
         // [安全修复] 必须校验金额为正数
@@ -1170,46 +2306,77 @@ app.post('/api/withdraw', upload.single('file'), async (req, res) => {
         const method = req.body.method;
         const addressText = req.body.address || '无账号信息';
 
-        const userRes = await pool.query('SELECT balance, contact FROM users WHERE id = $1', [userId]);
-        const user = userRes.rows[0];
-
-        if (user.balance < amount) return res.json({ success: false, msg: '余额不足' });
-
-        await pool.query('UPDATE users SET balance = balance - $1 WHERE id = $2', [amount, userId]);
-        
-        // [新增] 记录提现明细 (负数)
-        await logBalance(pool, userId, '提现申请', -amount, `申请提现到 ${method}`);
-
         let logAddress = addressText;
         if (req.file)
             logAddress = `[${method}] 收款码已发送`;
 
-        // [修改] 先插入数据库获取ID
-        const insertRes = await pool.query('INSERT INTO withdrawals (user_id, amount, address) VALUES ($1, $2, $3) RETURNING id', [userId, amount, logAddress]);
-        const withdrawId = insertRes.rows[0].id;
+        // [修改] 锁定用户行后再校验余额/额度并扣款，防止并发提现超额
+        let withdrawal, user;
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const userRes = await client.query('SELECT id, balance, contact, created_at FROM users WHERE id = $1 FOR UPDATE', [userId]);
+            user = userRes.rows[0];
+            if (!user) throw new Error('用户不存在');
+
+            const check = await withdrawalPolicy.evaluate(client, { user, amount });
+            if (!check.ok) {
+                await client.query('ROLLBACK');
+                return res.json({ success: false, msg: check.msg });
+            }
+
+            const insertRes = await client.query(
+                `INSERT INTO withdrawals (user_id, amount, address, fee, net_amount, risk_flags, required_approvals)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+                [userId, amount, logAddress, check.fee, check.netAmount, JSON.stringify(check.flags), check.requiredApprovals]
+            );
+            withdrawal = insertRes.rows[0];
+
+            // [新增] 扣余额并记录提现明细 (负数)
+            await ledger.postBalanceChange(client, {
+                userId, amount: -amount, counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+                type: '提现申请', remark: `申请提现到 ${method}`, ref: `withdrawal:${withdrawal.id}`
+            });
+            await client.query('COMMIT');
+            req.idempotencyCommitted = true;
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
 
         // [修改] 定义按钮
         const options = {
-            caption: `💸 <b>新提现申请 (${method})</b>\n用户: ${user.contact} (ID: ${userId})\n金额: ${amount} USDT\n账号: ${addressText}\nID: ${withdrawId}`,
+            // 管理员打款后回复该消息即可登记打款凭证
+            caption: withdrawCaption(withdrawal, user.contact, method, addressText) + "\n\n💬 打款后回复本消息发送交易哈希或截图",
             parse_mode: 'HTML',
             reply_markup: {
                 inline_keyboard: [[
-                    { text: "✅ 已打款", callback_data: `wd_confirm_${withdrawId}_${userId}` },
-                    { text: "❌ 驳回", callback_data: `wd_reject_${withdrawId}_${userId}_${amount}` }
+                    { text: "✅ 已打款", callback_data: `wd_confirm_${withdrawal.id}_${userId}` },
+                    { text: "❌ 驳回", callback_data: `wd_reject_${withdrawal.id}_${userId}` }
                 ]]
             }
         };
 
-     if (req.file) {
-            await bot.sendPhoto(TG_ADMIN_GROUP_ID, req.file.buffer, options);
-        } else {
-            await bot.sendMessage(TG_ADMIN_GROUP_ID, options.caption, options);
+        // 提现已提交，TG 发送失败只记录日志 (后台提现列表仍可审批)，不能返回失败让客户端重复提交
+        try {
+            let sent;
+            if (req.file) {
+                sent = await bot.sendPhoto(TG_ADMIN_GROUP_ID, req.file.buffer, options);
+            } else {
+                sent = await bot.sendMessage(TG_ADMIN_GROUP_ID, options.caption, options);
+            }
+            // 记下群消息 ID，用于匹配管理员的回复
+            await pool.query('UPDATE withdrawals SET tg_message_id = $1 WHERE id = $2', [sent.message_id, withdrawal.id]);
+        } catch (e) {
+            console.error("Withdraw TG Notify Error:", e);
         }
         
         // [新增] 通知后台有提现申请
         notifyAdminUpdate();
 
-        res.json({ success: true });
+        res.json({ success: true, fee: withdrawal.fee, netAmount: withdrawal.net_amount, needsReview: withdrawal.required_approvals > 1 });
     } catch (e) {
         console.error(e);
         res.json({ success: false, msg: 'Error' });
@@ -1217,11 +2384,16 @@ app.post('/api/withdraw', upload.single('file'), async (req, res) => {
 });
 
 // 11. 聊天
-app.post('/api/chat/send', async (req, res) => {
+// 【修改】登录用户的会话号取自令牌 (user_<id>)，不再信任请求参数；游客仍使用前端生成的会话号
+app.post('/api/chat/send', optionalUserAuth, async (req, res) => {
     // 增加 msgType 参数，默认为 'text'
     // 【修改】接收 source
-    const { sessionId, text, msgType, source } = req.body; 
+    const { text, msgType, source } = req.body; 
     const type = msgType || 'text';
+    const sessionId = req.userId ? `user_${req.userId}` : req.body.sessionId;
+    if (!sessionId || (!req.userId && sessionId.toString().startsWith('user_'))) {
+        return res.status(401).json({ success: false, msg: '登录已过期，请重新登录' });
+    }
     
     try {
         // 存入数据库
@@ -1257,6 +2429,9 @@ app.post('/api/chat/send', async (req, res) => {
 
 app.get('/api/chat/history/:sid', async (req, res) => {
     try {
+        if (!(await canAccessChatSession(req.params.sid, readBearer(req)))) {
+            return res.status(401).json({ success: false, msg: '登录已过期，请重新登录' });
+        }
         const result = await pool.query('SELECT * FROM chats WHERE session_id = $1 ORDER BY created_at ASC', [req.params.sid]);
         res.json(result.rows);
     } catch(e) { res.json([]); }
@@ -1265,19 +2440,97 @@ app.get('/api/chat/history/:sid', async (req, res) => {
 // ==========================================
 // 🔧 后台管理 (Admin)
 // ==========================================
-app.post('/api/admin/login', (req, res) => {
-    if(req.body.username === 'admin' && req.body.password === ADMIN_TOKEN) 
-        res.json({success:true, token: ADMIN_TOKEN});
-    else res.json({success:false, msg:'Error'});
+app.post('/api/admin/login', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+        const adminRes = await pool.query('SELECT * FROM admins WHERE username = $1 AND is_active = TRUE', [username]);
+        const admin = adminRes.rows[0];
+        if (!admin || !password || !(await bcrypt.compare(password, admin.password))) {
+            return res.json({success:false, msg:'Error'});
+        }
+
+        await pool.query('UPDATE admins SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+        const token = signToken({ aid: admin.id, exp: Math.floor(Date.now() / 1000) + ADMIN_TOKEN_TTL }, ADMIN_TOKEN_SECRET);
+        res.json({success:true, token, username: admin.username, role: admin.role, permissions: ROLE_PERMISSIONS[admin.role] || []});
+    } catch(e) { res.json({success:false, msg: e.message}); }
+});
+
+// 管理员账号管理 (仅 owner)
+app.get('/api/admin/admins', adminAuth, requirePerm('admin.manage'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, username, role, is_active, telegram_id, last_login_at, created_at FROM admins ORDER BY id ASC');
+        res.json({success:true, list: result.rows, roles: Object.keys(ROLE_PERMISSIONS)});
+    } catch(e) { res.status(500).json({success:false, msg: e.message}); }
 });
 
-app.get('/api/admin/all', adminAuth, async (req, res) => {
+app.post('/api/admin/admins', adminAuth, requirePerm('admin.manage'), async (req, res) => {
+    const { username, password, role } = req.body;
+    if (!username || !password || password.length < 8) return res.json({success:false, msg:'用户名不能为空，密码至少8位'});
+    if (!ROLE_PERMISSIONS[role]) return res.json({success:false, msg:'角色不存在'});
     try {
-        const users = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
-        const orders = await pool.query('SELECT * FROM orders ORDER BY created_at DESC');
+        const hashed = await bcrypt.hash(password, 10);
+        const result = await pool.query(
+            'INSERT INTO admins (username, password, role) VALUES ($1, $2, $3) ON CONFLICT (username) DO NOTHING RETURNING id',
+            [username.trim(), hashed, role]
+        );
+        if (result.rows.length === 0) return res.json({success:false, msg:'用户名已存在'});
+        await logAudit(pool, adminActor(req), 'admin.create', 'admin', result.rows[0].id, undefined, { username: username.trim(), role });
+        res.json({success:true, id: result.rows[0].id});
+    } catch(e) { res.status(500).json({success:false, msg: e.message}); }
+});
+
+// body: { password?, role?, isActive?, telegramId? (绑定的 Telegram 用户ID，空字符串/null 表示解绑) }
+app.put('/api/admin/admins/:id', adminAuth, requirePerm('admin.manage'), async (req, res) => {
+    const { password, role, isActive, telegramId } = req.body;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const targetRes = await client.query('SELECT * FROM admins WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const target = targetRes.rows[0];
+        if (!target) throw new Error('管理员不存在');
+        if (role !== undefined && !ROLE_PERMISSIONS[role]) throw new Error('角色不存在');
+        if (password !== undefined && password.length < 8) throw new Error('密码至少8位');
+        const newTelegramId = telegramId === undefined ? target.telegram_id : (telegramId === null || telegramId === '' ? null : telegramId.toString().trim());
+        if (newTelegramId !== null && !/^\d{1,20}$/.test(newTelegramId)) throw new Error('Telegram ID 必须是数字');
+        if (newTelegramId !== null && newTelegramId !== target.telegram_id) {
+            const boundRes = await client.query('SELECT username FROM admins WHERE telegram_id = $1 AND id <> $2', [newTelegramId, target.id]);
+            if (boundRes.rows.length > 0) throw new Error(`该 Telegram ID 已绑定管理员 ${boundRes.rows[0].username}`);
+        }
+
+        const newRole = role !== undefined ? role : target.role;
+        const newActive = isActive !== undefined ? !!isActive : target.is_active;
+
+        // 防止把最后一个 owner 降级或停用，导致后台无人可管
+        if (target.role === 'owner' && (newRole !== 'owner' || !newActive)) {
+            const ownersRes = await client.query("SELECT COUNT(*) FROM admins WHERE role = 'owner' AND is_active = TRUE AND id <> $1", [target.id]);
+            if (parseInt(ownersRes.rows[0].count) === 0) throw new Error('至少需要保留一个启用的 owner 账号');
+        }
+
+        const newPassword = password !== undefined ? await bcrypt.hash(password, 10) : target.password;
+        await client.query('UPDATE admins SET role = $1, is_active = $2, password = $3, telegram_id = $4 WHERE id = $5', [newRole, newActive, newPassword, newTelegramId, target.id]);
+        await logAudit(client, adminActor(req), 'admin.update', 'admin', target.id,
+            { role: target.role, is_active: target.is_active, telegram_id: target.telegram_id },
+            { role: newRole, is_active: newActive, telegram_id: newTelegramId, password_changed: password !== undefined });
+
+        await client.query('COMMIT');
+        res.json({success:true});
+    } catch(e) {
+        await client.query('ROLLBACK');
+        res.json({success:false, msg: e.message});
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/admin/all', adminAuth, requirePerm('dashboard.view'), async (req, res) => {
+    try {
+        // 按角色只返回有权限查看的数据
+        const role = req.admin.role;
+        const users = hasPerm(role, 'user.view') ? await pool.query('SELECT * FROM users ORDER BY created_at DESC') : { rows: [] };
+        const orders = hasPerm(role, 'order.view') ? await pool.query('SELECT * FROM orders ORDER BY created_at DESC') : { rows: [] };
         const products = await pool.query('SELECT * FROM products ORDER BY id DESC');
         const hiring = await pool.query('SELECT * FROM hiring');
-        const chatsRes = await pool.query('SELECT * FROM chats ORDER BY created_at ASC');
+        const chatsRes = hasPerm(role, 'chat') ? await pool.query('SELECT * FROM chats ORDER BY created_at ASC') : { rows: [] };
         
         let chats = {};
         chatsRes.rows.forEach(msg => {
@@ -1292,47 +2545,66 @@ app.get('/api/admin/all', adminAuth, async (req, res) => {
 
         res.json({
             users: users.rows,
-            orders: orders.rows,
-            products: products.rows,
+            orders: await attachOrderItems(pool, orders.rows),
+            products: await productVariants.attachVariants(pool, products.rows),
             hiring: hiring.rows,
             chats,
             rate,
             feeRate,
             announcement,
-            popup: popup === 'true'
+            popup: popup === 'true',
+            admin: { username: req.admin.username, role, permissions: ROLE_PERMISSIONS[role] || [] }
         });
     } catch(e) { res.status(500).json({}); }
 });
 
-app.post('/api/admin/user/balance', adminAuth, async (req, res) => {
+app.post('/api/admin/user/balance', adminAuth, requirePerm('balance.adjust'), async (req, res) => {
     const { userId, amount, type } = req.body;
+    const client = await pool.connect();
     try {
+        await client.query('BEGIN');
         const val = parseFloat(amount);
-        let sql = '';
-        if(type === 'add') sql = 'UPDATE users SET balance = balance + $1 WHERE id = $2';
-        if(type === 'subtract') sql = 'UPDATE users SET balance = GREATEST(0, balance - $1) WHERE id = $2';
-        if(type === 'set') sql = 'UPDATE users SET balance = $1 WHERE id = $2';
-        await pool.query(sql, [val, userId]);
+        if (!['add', 'subtract', 'set'].includes(type) || isNaN(val)) throw new Error('参数错误');
+
+        const beforeRes = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (beforeRes.rows.length === 0) throw new Error('用户不存在');
+        const before = parseFloat(beforeRes.rows[0].balance);
+
+        // 统一换算成变动额：扣减最多扣到0，重置 = 目标值 - 当前值
+        let delta = 0;
+        if(type === 'add') delta = val;
+        if(type === 'subtract') delta = -Math.min(val, before);
+        if(type === 'set') delta = val - before;
         
         // 记录日志
         let remark = type === 'set' ? `客服重置余额为 ${val}` : `客服后台操作 ${type}`;
-let logAmount = type === 'add' ? val : (type === 'subtract' ? -val : 0); 
         
         // 将类型显示为 '客服后台充值'
-        await logBalance(pool, userId, '客服后台充值', logAmount, remark);
+        const { balance } = await ledger.postBalanceChange(client, {
+            userId, amount: delta, counterAccount: ledger.ACCOUNTS.ADJUSTMENTS,
+            type: '客服后台充值', remark, ref: `admin:${req.admin.username}`
+        });
+
+        await logAudit(client, adminActor(req), `balance.${type}`, 'user', userId,
+            { balance: beforeRes.rows[0].balance }, { balance, amount: val });
+
+        await client.query('COMMIT');
 
         // 【新增】实时通知前端刷新余额
         io.to(`user_${userId}`).emit('order_update');
 
         res.json({success:true});
-    } catch(e) { res.json({success:false}); }
+    } catch(e) {
+        await client.query('ROLLBACK');
+        res.json({success:false, msg: e.message});
+    } finally {
+        client.release();
+    }
 });
 
-app.post('/api/admin/chat/initiate', adminAuth, async (req, res) => {
+app.post('/api/admin/chat/initiate', adminAuth, requirePerm('chat'), async (req, res) => {
     const sid = `user_${req.body.userId}`;
     try {
-        await pool.query("ALTER TABLE chats ADD COLUMN IF NOT EXISTS msg_type TEXT DEFAULT 'text'");
-        
         const result = await pool.query("INSERT INTO chats (session_id, sender, content, msg_type, is_initiate) VALUES ($1, 'admin', '客服已接入', 'text', TRUE) RETURNING created_at", [sid]);
         
         io.to(sid).emit('new_message', { 
@@ -1350,7 +2622,7 @@ app.post('/api/admin/chat/initiate', adminAuth, async (req, res) => {
     }
 });
 
-app.post('/api/admin/chat/read', adminAuth, async (req, res) => {
+app.post('/api/admin/chat/read', adminAuth, requirePerm('chat'), async (req, res) => {
     const { sessionId } = req.body;
     await pool.query("UPDATE chats SET is_read = TRUE WHERE session_id = $1 AND sender = 'user'", [sessionId]);
     res.json({success:true});
@@ -1369,13 +2641,11 @@ app.post('/api/chat/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-app.post('/api/admin/reply', adminAuth, async (req, res) => {
+app.post('/api/admin/reply', adminAuth, requirePerm('chat'), async (req, res) => {
     const { sessionId, text, msgType } = req.body;
     const type = msgType || 'text';
 
     try {
-        await pool.query("ALTER TABLE chats ADD COLUMN IF NOT EXISTS msg_type TEXT DEFAULT 'text'");
-
         const result = await pool.query(
             "INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, $3) RETURNING created_at", 
             [sessionId, text, type]
@@ -1395,7 +2665,7 @@ app.post('/api/admin/reply', adminAuth, async (req, res) => {
     }
 });
 
-app.post('/api/upload', adminAuth, upload.single('file'), async (req, res) => {
+app.post('/api/upload', adminAuth, requirePerm('upload'), upload.single('file'), async (req, res) => {
     if (req.file) {
         try {
             // 上传到 Cloudinary，返回 URL
@@ -1410,16 +2680,15 @@ app.post('/api/upload', adminAuth, upload.single('file'), async (req, res) => {
     }
 });
 
-app.post('/api/admin/order/ship', adminAuth, async (req, res) => {
+app.post('/api/admin/order/ship', adminAuth, requirePerm('order.ship'), async (req, res) => {
     const { orderId, trackingNumber } = req.body;
     try {
-        // [修改] 更新状态并返回 user_id，以便通知
-        const result = await pool.query("UPDATE orders SET tracking_number = $1, status = '已发货' WHERE order_id = $2 RETURNING user_id", [trackingNumber, orderId]);
-        
-        // [新增] 实时通知该用户刷新订单状态
-        if(result.rows.length > 0) {
-            io.to(`user_${result.rows[0].user_id}`).emit('order_update');
-        }
+        // [修改] 经状态机发货 (只有已支付订单可以发货)，提交后自动通知用户刷新
+        await runOrderTransition(orderId, 'ship', {
+            actor: `admin:${req.admin.username}`,
+            fields: { tracking_number: trackingNumber },
+            audit: adminActor(req)
+        });
 
         sendTgNotify(`🚚 <b>订单已发货</b>\n单号: <code>${orderId}</code>\n物流: ${trackingNumber}`);
         res.json({success:true});
@@ -1429,7 +2698,7 @@ app.post('/api/admin/order/ship', adminAuth, async (req, res) => {
     }
 });
 
-app.post('/api/admin/order/upload_qrcode', adminAuth, upload.single('qrcode'), async (req, res) => {
+app.post('/api/admin/order/upload_qrcode', adminAuth, requirePerm('order.qrcode'), upload.single('qrcode'), async (req, res) => {
     const { orderId } = req.body;
     if(req.file) {
        try {
@@ -1437,7 +2706,7 @@ app.post('/api/admin/order/upload_qrcode', adminAuth, upload.single('qrcode'), a
            const url = await uploadToCloud(req.file.buffer);
            
            // [修改] 存入 URL
-           const result = await pool.query("UPDATE orders SET qrcode_url = $1, expires_at = NOW() + INTERVAL '30 minutes' WHERE order_id = $2 RETURNING user_id", [url, orderId]);
+           const result = await pool.query("UPDATE orders SET qrcode_url = $1, qr_code_id = NULL, expires_at = NOW() + INTERVAL '30 minutes' WHERE order_id = $2 RETURNING user_id", [url, orderId]);
            const userId = result.rows[0]?.user_id;
 
            sendTgNotify(`✅ <b>收款码已上传</b>\n单号: <code>${orderId}</code>`);
@@ -1458,18 +2727,54 @@ app.post('/api/admin/order/upload_qrcode', adminAuth, upload.single('qrcode'), a
     } else res.json({success:false});
 });
 
-app.post('/api/admin/update/announcement', adminAuth, async (req, res) => {
+app.post('/api/admin/update/announcement', adminAuth, requirePerm('settings.manage'), async (req, res) => {
     await setSetting('announcement', req.body.text);
     await broadcastGlobalUpdate(); // [新增] 广播通知
     res.json({success:true});
 });
-app.post('/api/admin/update/popup', adminAuth, async (req, res) => {
+app.post('/api/admin/update/popup', adminAuth, requirePerm('settings.manage'), async (req, res) => {
     await setSetting('popup', req.body.open);
     await broadcastGlobalUpdate(); // [新增] 广播通知
     res.json({success:true});
 });
+// [新增] 数据保留策略：查看当前配置 + 预览会被归档的数据
+app.get('/api/admin/retention', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const policy = await retention.getPolicy(pool);
+        const preview = await retention.dryRun(pool);
+        res.json({ success: true, policy, preview: preview.tables, exportDir: RETENTION_EXPORT_DIR });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+// [新增] 修改保留天数 / 归档方式  body: { mode: 'archive'|'export', days: { orders: 365, chats: 90 } }
+app.post('/api/admin/retention', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const before = await retention.getPolicy(pool);
+        const after = await retention.setPolicy(pool, { mode: req.body.mode, days: req.body.days });
+        await logAudit(pool, adminActor(req), 'retention.update', 'settings', 'retention', before, after);
+        res.json({ success: true, policy: after });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+// [新增] 立即执行归档 (dryRun=true 时只返回预览)
+app.post('/api/admin/retention/run', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        if (req.body.dryRun) {
+            const preview = await retention.dryRun(pool);
+            return res.json({ success: true, dryRun: true, mode: preview.mode, tables: preview.tables });
+        }
+        const result = await retention.purge(pool, { exportDir: RETENTION_EXPORT_DIR });
+        await logAudit(pool, adminActor(req), 'retention.run', 'settings', 'retention', undefined,
+            Object.fromEntries(result.tables.map(t => [t.table, t.count])));
+        res.json({ success: true, dryRun: false, mode: result.mode, tables: result.tables });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 // [新增] 更新分类优先级
-app.post('/api/admin/category/priority', adminAuth, async (req, res) => {
+app.post('/api/admin/category/priority', adminAuth, requirePerm('settings.manage'), async (req, res) => {
     const { name, priority } = req.body;
     try {
         // 使用 upsert 语法 (如果存在则更新，不存在则插入)
@@ -1485,220 +2790,701 @@ app.post('/api/admin/category/priority', adminAuth, async (req, res) => {
     }
 });
 
-// 商品增删改
-app.post('/api/admin/product', adminAuth, upload.single('file'), async (req, res) => {
+// 商品增删改
+app.post('/api/admin/product', adminAuth, requirePerm('product.manage'), upload.single('file'), async (req, res) => {
+    try {
+        const { name, price, stock, category, type, desc } = req.body;
+        let imageUrl = req.body.imageUrl || ''; // 兼容旧逻辑
+        // [新增] 规格列表 (JSON 字符串)，不传则为无规格商品
+        const variants = productVariants.parseVariants(req.body.variants);
+        // [新增] 卡密自动发货商品，库存由导入的卡密数量决定
+        const autoDelivery = req.body.autoDelivery === true || req.body.autoDelivery === 'true';
+
+        // 如果上传了新文件，优先使用文件上传到 Cloudinary
+        if (req.file) {
+            imageUrl = await uploadToCloud(req.file.buffer);
+        }
+        
+        // 确保是 JSON 格式字符串存储，兼容前端解析
+        const imageJson = imageUrl.startsWith('[') ? imageUrl : JSON.stringify([imageUrl]);
+        const productId = Date.now();
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'INSERT INTO products (id, name, price, stock, category, type, description, image_url, auto_delivery) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+                [productId, name, price || 0, stock || 0, category, type, desc, imageJson, autoDelivery]
+            );
+            const actor = `admin:${req.admin.username}`;
+            if (variants) {
+                for (const c of await productVariants.saveVariants(client, productId, variants)) {
+                    await inventory.record(client, { productId, variantId: c.variantId, qtyChange: c.to, reason: 'opening', actor });
+                }
+            } else if (!autoDelivery && parseInt(stock) > 0) {
+                await inventory.record(client, { productId, qtyChange: parseInt(stock), reason: 'opening', actor });
+            }
+            await cardKeys.refreshStock(client, productId);
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+        await logAudit(pool, adminActor(req), 'product.create', 'product', productId, undefined, { name, price, stock, category, autoDelivery, variants });
+        
+        // 立即广播更新
+        await broadcastGlobalUpdate();
+
+        res.json({success:true});
+    } catch (e) {
+        console.error(e);
+        res.json({success:false, msg: e.message});
+    }
+});
+app.put('/api/admin/product/:id', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    const { name, price, stock, category, type, desc, imageUrl, autoDelivery } = req.body;
+    const client = await pool.connect();
+    try {
+        // [新增] 传了 variants 则整体替换规格列表，不传则不改动规格
+        const variants = productVariants.parseVariants(req.body.variants);
+        await client.query('BEGIN');
+        const before = await client.query('SELECT name, price, stock, category, auto_delivery FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (before.rows.length === 0) throw new Error('商品不存在');
+        const beforeVariants = (await productVariants.attachVariants(client, [{ id: req.params.id }]))[0].variants;
+        await client.query(
+            'UPDATE products SET name=$1, price=$2, category=$3, type=$4, description=$5, image_url=$6 WHERE id=$7',
+            [name, price, category, type, desc, imageUrl, req.params.id]
+        );
+        if (autoDelivery !== undefined) {
+            await client.query('UPDATE products SET auto_delivery = $1 WHERE id = $2', [autoDelivery === true || autoDelivery === 'true', req.params.id]);
+        }
+        // [修改] 库存变动记入库存流水：有规格的按规格记，卡密商品由卡密数量决定
+        const actor = `admin:${req.admin.username}`;
+        if (variants) {
+            for (const c of await productVariants.saveVariants(client, req.params.id, variants)) {
+                await inventory.record(client, { productId: req.params.id, variantId: c.variantId, qtyChange: c.to - c.from, reason: 'adjust', actor });
+            }
+        }
+        const current = (await productVariants.attachVariants(client, [{ id: req.params.id }], { activeOnly: true }))[0].variants;
+        const isAuto = autoDelivery !== undefined ? (autoDelivery === true || autoDelivery === 'true') : before.rows[0].auto_delivery;
+        if (current.length > 0) await productVariants.syncProductSummary(client, req.params.id);
+        else if (!isAuto && stock !== undefined && stock !== '') await inventory.setStock(client, { productId: req.params.id, stock, actor });
+        await cardKeys.refreshStock(client, req.params.id);
+        await client.query('COMMIT');
+        await logAudit(pool, adminActor(req), 'product.update', 'product', req.params.id,
+            { ...before.rows[0], variants: beforeVariants }, { name, price, stock, category, autoDelivery, variants });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        return res.json({success:false, msg: e.message});
+    } finally {
+        client.release();
+    }
+    // 立即广播更新
+    await broadcastGlobalUpdate();
+    // [新增] 补货后通知到货提醒订阅者
+    notifyRestockSubscribers(req.params.id);
+    res.json({success:true});
+});
+app.delete('/api/admin/product/:id', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    const before = await pool.query('SELECT * FROM products WHERE id = $1', [req.params.id]);
+    await logAudit(pool, adminActor(req), 'product.delete', 'product', req.params.id, before.rows[0] || null);
+    await pool.query('DELETE FROM products WHERE id = $1', [req.params.id]);
+    // 立即广播更新
+    await broadcastGlobalUpdate();
+    res.json({success:true});
+});
+// ==========================================
+// 🔑 卡密库存 (卡密自动发货商品)
+// ==========================================
+
+// 卡密列表 + 各状态数量  query: productId, variantId?, status?, page, pageSize
+app.get('/api/admin/card_keys', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        const { productId, variantId, status } = req.query;
+        if (!productId) return res.json({ success: false, msg: '缺少商品ID' });
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+        const params = [productId];
+        const where = ['product_id = $1'];
+        if (variantId) {
+            params.push(variantId);
+            where.push(`variant_id = $${params.length}`);
+        }
+        const countsRes = await pool.query(`SELECT status, COUNT(*) AS count FROM card_keys WHERE ${where.join(' AND ')} GROUP BY status`, params);
+        if (status) {
+            params.push(status);
+            where.push(`status = $${params.length}`);
+        }
+        const listRes = await pool.query(
+            `SELECT * FROM card_keys WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+            params
+        );
+        const counts = Object.fromEntries(Object.values(cardKeys.STATUS).map(s => [s, 0]));
+        countsRes.rows.forEach(r => counts[r.status] = parseInt(r.count));
+        res.json({ success: true, list: listRes.rows, counts, page, pageSize });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 批量导入卡密：上传 txt / csv 文件 (file)，或直接提交文本 codes (每行一个)
+app.post('/api/admin/card_keys/import', adminAuth, requirePerm('product.manage'), upload.single('file'), async (req, res) => {
+    const { productId, variantId, batch } = req.body;
+    const codes = cardKeys.parseCodes(req.file ? req.file.buffer.toString('utf8') : req.body.codes);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await cardKeys.importCodes(client, { productId, variantId, codes, batch });
+        if (result.inserted > 0) {
+            await inventory.record(client, { productId, variantId, qtyChange: result.inserted, reason: 'import', actor: `admin:${req.admin.username}`, note: batch });
+        }
+        // 审计只记录数量，不记录卡密内容
+        await logAudit(client, adminActor(req), 'card_keys.import', 'product', productId, undefined, { variantId: variantId || null, batch: batch || null, ...result });
+        await client.query('COMMIT');
+        await broadcastGlobalUpdate();
+        notifyRestockSubscribers(productId);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        res.json({ success: false, msg: e.message });
+    } finally {
+        client.release();
+    }
+});
+
+// 作废未使用的卡密
+app.post('/api/admin/card_keys/void', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+    if (ids.length === 0) return res.json({ success: false, msg: '请选择卡密' });
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            "UPDATE card_keys SET status = 'void' WHERE id = ANY($1::bigint[]) AND status = 'available' RETURNING id, product_id, variant_id",
+            [ids]
+        );
+        // 按商品 / 规格汇总作废数量，刷新库存并记流水
+        const groups = {};
+        result.rows.forEach(r => {
+            const key = `${r.product_id}:${r.variant_id || ''}`;
+            if (!groups[key]) groups[key] = { productId: r.product_id, variantId: r.variant_id, count: 0 };
+            groups[key].count++;
+        });
+        for (const productId of new Set(result.rows.map(r => r.product_id.toString()))) {
+            await cardKeys.refreshStock(client, productId);
+        }
+        for (const g of Object.values(groups)) {
+            await inventory.record(client, { productId: g.productId, variantId: g.variantId, qtyChange: -g.count, reason: 'void', actor: `admin:${req.admin.username}` });
+        }
+        await logAudit(client, adminActor(req), 'card_keys.void', 'card_keys', null, undefined, { ids: result.rows.map(r => r.id) });
+        await client.query('COMMIT');
+        await broadcastGlobalUpdate();
+        res.json({ success: true, count: result.rowCount });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        res.json({ success: false, msg: e.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ==========================================
+// 📦 库存报表
+// ==========================================
+
+// 当前库存 (可售 + 待支付预留)
+app.get('/api/admin/inventory', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        res.json({ success: true, list: await inventory.snapshot(pool), reasons: inventory.REASONS });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 库存流水  query: productId, variantId, reason, orderId, page, pageSize
+app.get('/api/admin/inventory/movements', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 50));
+        const { productId, variantId, reason, orderId } = req.query;
+        res.json({ success: true, ...await inventory.listMovements(pool, { productId, variantId, reason, orderId, page, pageSize }) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 库存变化报表  query: productId, from, to (YYYY-MM-DD), interval: day | week | month
+app.get('/api/admin/inventory/report', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        const { productId, from, to, interval } = req.query;
+        res.json({ success: true, rows: await inventory.report(pool, { productId, from, to, interval: interval || 'day' }) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 到货提醒需求 (按商品/规格汇总)
+app.get('/api/admin/restock/demand', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        res.json({ success: true, list: await restock.demand(pool) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 某商品的到货提醒订阅明细  query: status (pending | notified)
+app.get('/api/admin/restock/:productId', adminAuth, requirePerm('product.manage'), async (req, res) => {
+    try {
+        res.json({ success: true, list: await restock.listSubscriptions(pool, { productId: req.params.productId, status: req.query.status }) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 招聘更新
+app.post('/api/admin/update/hiring', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    const list = req.body; // array
+    // 简单暴力：清空重写
+    await pool.query('TRUNCATE hiring');
+    for (const job of list) {
+        await pool.query('INSERT INTO hiring (title, content, contact) VALUES ($1, $2, $3)', [job.title, job.content, job.contact]);
+    }
+    await broadcastGlobalUpdate(); // [新增] 广播通知
+    res.json({success:true});
+});
+app.post('/api/admin/confirm_pay', adminAuth, requirePerm('order.confirm_pay'), async (req, res) => {
+    const { orderId } = req.body;
+    try {
+        // 状态机会锁定订单行，只有待支付/待审核的订单才能确认，防止重复加钱
+        // [修改] 只有商品名严格等于 '余额充值' 才算是充值 (到账)，其他商品都算消费 (返利)
+        await confirmOrderPaid(orderId, { actor: `admin:${req.admin.username}`, note: '后台确认收款', audit: adminActor(req) });
+        res.json({success:true});
+    } catch(e) {
+        console.error("确认支付出错:", e);
+        res.json({success:false, msg:e.message});
+    }
+});
+// ================= 新增功能区域 =================
+
+// 计算回调签名：去掉 signature 和空值，按参数名排序拼成 k=v&k=v
+const signCallbackParams = (params, secret, signType) => {
+    const str = Object.keys(params)
+        .filter(k => k !== 'signature' && params[k] !== undefined && params[k] !== null && params[k] !== '')
+        .sort()
+        .map(k => `${k}=${typeof params[k] === 'object' ? JSON.stringify(params[k]) : params[k]}`)
+        .join('&');
+    if (signType === 'hmac') return crypto.createHmac('sha256', secret).update(str).digest('hex');
+    return crypto.createHash('md5').update(str + secret).digest('hex');
+};
+
+// 记录一次回调尝试，返回记录ID
+const recordCallback = async (req, verdict, detail, extra = {}) => {
+    const body = req.body || {};
+    const result = await pool.query(
+        `INSERT INTO payment_callbacks (order_id, nonce, nonce_used, ip, payload, verdict, detail) VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT DO NOTHING RETURNING id`,
+        [body.order_id || null, extra.nonce || null, !!extra.nonceUsed, req.ip, JSON.stringify(body), verdict, detail || null]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+};
+
+// nonceUsed: false 时释放 nonce，同一笔交易的后续回调 (重试) 仍可处理；只有成功到账才占用
+const finishCallback = async (callbackId, verdict, detail, { nonceUsed = true } = {}) => {
+    await pool.query('UPDATE payment_callbacks SET verdict = $1, detail = $2, nonce_used = $3 WHERE id = $4', [verdict, detail || null, nonceUsed, callbackId]);
+};
+
+// USDT 到账后把订单标记为已支付 (回调接口和链上监听共用)
+// 返回 { ok, reason, order }，reason: order_not_found / already_processed / amount_mismatch
+const applyUsdtPayment = async (orderId, amount, remark) => {
+    const client = await pool.connect();
+    let order;
+    let result;
+    try {
+        await client.query('BEGIN');
+        const orderRes = await client.query("SELECT * FROM orders WHERE order_id = $1 FOR UPDATE", [orderId]);
+        order = orderRes.rows[0];
+
+        let reason = null;
+        if (!order) reason = 'order_not_found';
+        else if (!ORDER_TRANSITIONS.pay.from.includes(order.status)) reason = 'already_processed';
+        // 校验金额是否一致 (允许 0.1 误差)
+        else if (Math.abs(parseFloat(amount) - parseFloat(order.usdt_amount)) >= 0.1) reason = 'amount_mismatch';
+        if (reason) {
+            await client.query('ROLLBACK');
+            return { ok: false, reason, order };
+        }
+
+        // 充值订单按实际到账金额加余额；消费/充值返利在同一事务中发放
+        result = await markOrderPaid(client, orderId, { actor: 'system', note: remark, amount });
+
+        await client.query('COMMIT');
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+
+    // 【新增】关键：通知前端刷新余额和订单状态
+    await afterOrderTransition(result);
+
+    sendTgNotify(`🤖 <b>USDT 自动到账</b>\n单号: ${orderId}\n金额: ${amount}\n来源: ${remark}`);
+    return { ok: true, order };
+};
+
+// USDT 自动回调接口 (适配 Epusdt 或类似 Webhook)
+app.post('/api/callback/usdt_notify', async (req, res) => {
+    // webhook 发送: { order_id, trade_id, amount, status, timestamp, nonce, signature }
+    const { order_id, amount, status, signature, timestamp } = req.body;
+
+    // 1. IP 白名单 (未配置则不限制)
+    if (USDT_NOTIFY_IP_WHITELIST.length > 0 && !USDT_NOTIFY_IP_WHITELIST.includes(req.ip)) {
+        await recordCallback(req, 'ip_denied', `IP ${req.ip} 不在白名单`).catch(e => console.error(e));
+        return res.status(403).send('forbidden');
+    }
+
+    // 2. 验证签名 (未配置密钥时拒绝所有回调)
+    if (!USDT_NOTIFY_SECRET) {
+        await recordCallback(req, 'no_secret', '未配置 USDT_NOTIFY_SECRET').catch(e => console.error(e));
+        return res.status(503).send('fail');
+    }
+    const expected = signCallbackParams(req.body, USDT_NOTIFY_SECRET, USDT_NOTIFY_SIGN_TYPE);
+    if (typeof signature !== 'string' || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature.toLowerCase()), Buffer.from(expected))) {
+        await recordCallback(req, 'bad_signature', '签名错误').catch(e => console.error(e));
+        return res.status(401).send('fail');
+    }
+
+    // 3. 时间戳校验 (兼容秒和毫秒)
+    if (timestamp !== undefined) {
+        const ts = parseInt(timestamp);
+        const tsMs = ts > 1e12 ? ts : ts * 1000;
+        if (isNaN(ts) || Math.abs(Date.now() - tsMs) > USDT_NOTIFY_MAX_AGE * 1000) {
+            await recordCallback(req, 'expired', `时间戳超出 ${USDT_NOTIFY_MAX_AGE} 秒`).catch(e => console.error(e));
+            return res.status(401).send('fail');
+        }
+    }
+
+    // 4. nonce 防重放 (Epusdt 不带 nonce 时使用 trade_id)
+    const nonce = req.body.nonce || req.body.trade_id;
+    if (!nonce) {
+        await recordCallback(req, 'bad_request', '缺少 nonce/trade_id').catch(e => console.error(e));
+        return res.status(400).send('fail');
+    }
+
+    let callbackId = null;
+    try {
+        // 【修改】非成功状态的回调不占用 nonce，否则之后真正的成功回调会被当成重放丢掉
+        if (status != 2 && status !== 'success') { // 2通常代表成功
+            await recordCallback(req, 'ignored', `status=${status}`, { nonce: nonce.toString() });
+            return res.send('ignored');
+        }
+
+        // 先占用 nonce，并发的重复回调只有一个能继续处理
+        callbackId = await recordCallback(req, 'processing', null, { nonce: nonce.toString(), nonceUsed: true });
+        if (!callbackId) {
+            await recordCallback(req, 'replay', `nonce ${nonce} 已使用`, { nonce: nonce.toString() });
+            return res.send('ok');
+        }
+
+        const result = await applyUsdtPayment(order_id, amount, '回调到账');
+        if (result.ok) {
+            await finishCallback(callbackId, 'success');
+            res.send('success');
+        } else if (result.reason === 'amount_mismatch') {
+            await finishCallback(callbackId, 'amount_mismatch', `回调金额 ${amount}，订单金额 ${result.order.usdt_amount}`, { nonceUsed: false });
+            res.send('amount_mismatch');
+        } else {
+            await finishCallback(callbackId, result.reason, result.order ? `订单状态: ${result.order.status}` : null, { nonceUsed: false });
+            res.send('ok'); // 订单已处理
+        }
+    } catch (e) {
+        console.error(e);
+        // 处理出错时释放 nonce，允许回调方重试
+        if (callbackId) await finishCallback(callbackId, 'error', e.message, { nonceUsed: false }).catch(() => {});
+        res.status(500).send('error');
+    }
+});
+
+// 支付回调记录 (财务对账用)
+app.get('/api/admin/payment_callbacks', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        const { orderId, verdict } = req.query;
+        const where = [];
+        const params = [];
+        if (orderId) {
+            params.push(orderId);
+            where.push(`order_id = $${params.length}`);
+        }
+        if (verdict) {
+            params.push(verdict);
+            where.push(`verdict = $${params.length}`);
+        }
+        const result = await pool.query(
+            `SELECT * FROM payment_callbacks ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC LIMIT 200`,
+            params
+        );
+        res.json(result.rows);
+    } catch(e) {
+        console.error(e);
+        res.status(500).json([]);
+    }
+});
+
+// 通用辅助函数：处理返利 (充值或消费)，按 commission_rules 逐级发放
+// 在收款事务中调用 (见 markOrderPaid)，返回待推送的通知列表，提交后再推送
+async function handleReferralBonus(client, userId, amount, type, orderId) {
+    // type: '充值' 或 '消费'
+    const trigger = type === '充值' ? 'recharge' : 'purchase';
+    const notices = [];
+
+    const parts = trigger === 'purchase' && orderId
+        ? await commission.splitByCategory(client, orderId, amount)
+        : [{ category: null, amount }];
+    const items = await commission.calculate(client, { userId, trigger, parts });
+    const cap = await commission.getMonthlyCap(client);
+
+    for (const item of items) {
+        // 锁定邀请人，保证月度上限在并发下也准确
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [item.inviterId]);
+        let bonus = item.commission;
+        if (cap > 0) bonus = Math.min(bonus, Math.max(0, cap - await commission.monthlyPaid(client, item.inviterId)));
+        bonus = Math.round(bonus * 10000) / 10000;
+        if (bonus <= 0) continue;
+
+        // 给邀请人加钱 (记账 + 资金明细)
+        const { txnId } = await ledger.postBalanceChange(client, {
+            userId: item.inviterId, amount: bonus, counterAccount: ledger.ACCOUNTS.REFERRAL,
+            type: '佣金返利', remark: `好友 ${userId} ${type} ${amount} USDT (${item.level}级 ${item.rate}%)`, ref: `user:${userId}`
+        });
+        // 返利明细 (团队收益统计使用；同一订单对同一邀请人有唯一索引，重复发放会报错回滚)
+        await commission.recordCommission(client, {
+            inviterId: item.inviterId, inviteeId: userId, level: item.level, trigger, orderId,
+            base: item.base, rate: item.base > 0 ? Math.round(bonus / item.base * 100 * 10000) / 10000 : 0, commission: bonus, ledgerTxnId: txnId
+        });
+
+        // 通知邀请人
+        const notifySid = `user_${item.inviterId}`;
+        const who = item.level === 1 ? '您的好友' : `您的${item.level}级好友`;
+        const content = `💰 恭喜！${who}完成了${type} (${amount} USDT)，您获得 ${bonus.toFixed(4)} USDT 返利！`;
+        const msgRes = await client.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
+        notices.push({ notifySid, content, created_at: msgRes.rows[0].created_at });
+    }
+    return notices;
+}
+
+// 返利规则 (查看)
+app.get('/api/admin/commission_rules', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, rules: await commission.getRules(pool), monthlyCap: await commission.getMonthlyCap(pool), triggers: commission.TRIGGERS });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 返利规则 (新增/修改)  body: { id?, level, trigger: 'purchase'|'recharge', category?, rate, isActive? }
+app.post('/api/admin/commission_rules', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const before = req.body.id ? (await pool.query('SELECT * FROM commission_rules WHERE id = $1', [req.body.id])).rows[0] : undefined;
+        const rule = await commission.saveRule(pool, req.body);
+        await logAudit(pool, adminActor(req), 'commission_rule.save', 'commission_rule', rule.id, before, rule);
+        res.json({ success: true, rule });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+app.delete('/api/admin/commission_rules/:id', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const rule = await commission.deleteRule(pool, req.params.id);
+        await logAudit(pool, adminActor(req), 'commission_rule.delete', 'commission_rule', rule.id, rule);
+        res.json({ success: true });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 每个邀请人每月返利上限 (0 = 不限)
+app.post('/api/admin/commission_cap', adminAuth, requirePerm('settings.manage'), async (req, res) => {
     try {
-        const { name, price, stock, category, type, desc } = req.body;
-        let imageUrl = req.body.imageUrl || ''; // 兼容旧逻辑
+        const before = await commission.getMonthlyCap(pool);
+        const monthlyCap = await commission.setMonthlyCap(pool, req.body.monthlyCap);
+        await logAudit(pool, adminActor(req), 'commission_cap.update', 'settings', 'commissionMonthlyCap', before, monthlyCap);
+        res.json({ success: true, monthlyCap });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-        // 如果上传了新文件，优先使用文件上传到 Cloudinary
-        if (req.file) {
-            imageUrl = await uploadToCloud(req.file.buffer);
-        }
-        
-        // 确保是 JSON 格式字符串存储，兼容前端解析
-        const imageJson = imageUrl.startsWith('[') ? imageUrl : JSON.stringify([imageUrl]);
+// 汇率 (各币种当前汇率/手续费)
+app.get('/api/admin/fx', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({
+            success: true, rates: await fx.listRates(pool), defaultCurrency: fx.DEFAULT_CURRENCY,
+            provider: fxUpdater ? fxUpdater.provider.name : null
+        });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-        await pool.query(
-            'INSERT INTO products (id, name, price, stock, category, type, description, image_url) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
-            [Date.now(), name, price, stock, category, type, desc, imageJson]
-        );
-        
-        // 立即广播更新
+// 汇率 (新增/修改币种)  body: { currency, rate?, feeRate?, methods?: [], isActive?, autoUpdate? }
+app.post('/api/admin/fx', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const { currency, rate, feeRate, methods, isActive, autoUpdate } = req.body;
+        const { before, after } = await fx.setRate(pool, {
+            currency, rate, feeRate, methods, isActive, autoUpdate, actor: `admin:${req.admin.username}`
+        });
+        await logAudit(pool, adminActor(req), 'fx.update', 'fx_rate', after.currency, before, after);
         await broadcastGlobalUpdate();
-
-        res.json({success:true});
+        res.json({ success: true, rate: after });
     } catch (e) {
-        console.error(e);
-        res.json({success:false, msg: e.message});
+        res.json({ success: false, msg: e.message });
     }
 });
-app.put('/api/admin/product/:id', adminAuth, async (req, res) => {
-    const { name, price, stock, category, type, desc, imageUrl } = req.body;
-    await pool.query(
-        'UPDATE products SET name=$1, price=$2, stock=$3, category=$4, type=$5, description=$6, image_url=$7 WHERE id=$8',
-        [name, price, stock, category, type, desc, imageUrl, req.params.id]
-    );
-    // 立即广播更新
-    await broadcastGlobalUpdate();
-    res.json({success:true});
-});
-app.delete('/api/admin/product/:id', adminAuth, async (req, res) => {
-    await pool.query('DELETE FROM products WHERE id = $1', [req.params.id]);
-    // 立即广播更新
-    await broadcastGlobalUpdate();
-    res.json({success:true});
-});
-// 招聘更新
-app.post('/api/admin/update/hiring', adminAuth, async (req, res) => {
-    const list = req.body; // array
-    // 简单暴力：清空重写
-    await pool.query('TRUNCATE hiring');
-    for (const job of list) {
-        await pool.query('INSERT INTO hiring (title, content, contact) VALUES ($1, $2, $3)', [job.title, job.content, job.contact]);
+
+// 汇率历史  query: currency, from, to (YYYY-MM-DD)
+app.get('/api/admin/fx/history', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        const { currency, from, to } = req.query;
+        res.json({ success: true, list: await fx.history(pool, { currency, from, to }) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
     }
-    await broadcastGlobalUpdate(); // [新增] 广播通知
-    res.json({success:true});
 });
-app.post('/api/admin/confirm_pay', adminAuth, async (req, res) => {
-    const { orderId } = req.body;
-    const client = await pool.connect(); // 使用事务防止出错
 
+// 立即从 provider 拉取一次汇率
+app.post('/api/admin/fx/refresh', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    if (!fxUpdater) return res.json({ success: false, msg: '未配置汇率自动更新 (FX_PROVIDER)' });
     try {
-        await client.query('BEGIN');
-
-        // 1. 锁定订单行，防止并发问题
-        const orderRes = await client.query("SELECT * FROM orders WHERE order_id = $1 FOR UPDATE", [orderId]);
-        const order = orderRes.rows[0];
-        
-        if (!order) {
-            await client.query('ROLLBACK');
-            return res.json({success:false, msg:'订单不存在'});
-        }
+        const result = await fxUpdater.poll();
+        await logAudit(pool, adminActor(req), 'fx.refresh', 'fx_rate', null, undefined, result);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-       // 2. 只有当状态不是'已支付'时才处理，防止重复加钱
-        if (order.status !== '已支付') {
-            // 更新状态
-            await client.query("UPDATE orders SET status = '已支付' WHERE order_id = $1", [orderId]);
-            
-            // [修改] 只有商品名严格等于 '余额充值' 才算是充值，其他带'充值'字的商品（如话费充值）都算消费
-            if (order.product_name === '余额充值') {
-                const amt = parseFloat(order.usdt_amount);
-                
-                // 给用户加钱
-                await client.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [amt, order.user_id]);
-                
-                // 记录资金流水
-                const balRes = await client.query("SELECT balance FROM users WHERE id = $1", [order.user_id]);
-                const currentBal = balRes.rows[0] ? balRes.rows[0].balance : 0;
-                
-                await client.query(
-                    "INSERT INTO balance_logs (user_id, type, amount, remark, balance_after) VALUES ($1, $2, $3, $4, $5)",
-                    [order.user_id, '余额充值', amt, `订单 ${orderId} 充值到账`, currentBal]
-                );
+// 优惠券 (查看)
+app.get('/api/admin/coupons', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, coupons: await promotions.listCoupons(pool), types: promotions.TYPES });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-                // [提示] 如果你想让【充值余额】也返利，就把下面这行的注释取消掉
-                // handleReferralBonus(order.user_id, amt, '充值');
-            } else {
-                // [重点] 只要不是余额充值，不管是买什么（包括话费充值卡），都算消费返利
-                // 注意：这里是按用户实际支付的 USDT 金额计算返利
-                // [优化] 加上 await 确保执行完成
-                await handleReferralBonus(order.user_id, parseFloat(order.usdt_amount), '消费');
-            }
-            
-            await client.query('COMMIT');
+// 优惠券使用记录
+app.get('/api/admin/coupons/:id/redemptions', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, list: await promotions.listRedemptions(pool, req.params.id) });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-            // 通知前端刷新
-            io.to(`user_${order.user_id}`).emit('order_update');
-            notifyAdminUpdate();
+// 优惠券 (新增/修改)
+// body: { id?, code, name, discountType: 'percent'|'fixed', discountValue, maxDiscount?, minSpend?, usageLimit?, perUserLimit?,
+//         categories?: [], productIds?: [], startsAt?, endsAt?, isActive? }
+app.post('/api/admin/coupons', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const before = req.body.id ? (await pool.query('SELECT * FROM coupons WHERE id = $1', [req.body.id])).rows[0] : undefined;
+        const coupon = await promotions.saveCoupon(pool, req.body);
+        await logAudit(pool, adminActor(req), 'coupon.save', 'coupon', coupon.id, before, coupon);
+        res.json({ success: true, coupon });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-            res.json({success:true});
-        } else {
-            await client.query('ROLLBACK');
-            res.json({success:false, msg:'订单状态已经是已支付，请勿重复操作'});
-        }
-    } catch(e) {
-        await client.query('ROLLBACK');
-        console.error("确认支付出错:", e);
-        res.status(500).json({success:false, msg:e.message});
-    } finally {
-        client.release();
+// 删除优惠券 (已使用过的改为停用)
+app.delete('/api/admin/coupons/:id', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const { coupon, deleted } = await promotions.deleteCoupon(pool, req.params.id);
+        await logAudit(pool, adminActor(req), deleted ? 'coupon.delete' : 'coupon.disable', 'coupon', req.params.id, coupon);
+        res.json({ success: true, deleted });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
     }
 });
-// ================= 新增功能区域 =================
 
-// USDT 自动回调接口 (适配 Epusdt 或类似 Webhook)
-app.post('/api/callback/usdt_notify', async (req, res) => {
-    // 假设 webhook 发送: { order_id, amount, status, signature }
-    const { order_id, amount, status } = req.body;
-    
-    // 1. 这里应该验证签名(signature)以确保安全，此处简化
-    if (status !== 2 && status !== 'success') return res.send('ignored'); // 2通常代表成功
+// 支付方式 (含收款码池数量)
+app.get('/api/admin/payment_methods', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, methods: await paymentMethods.listMethods(pool), types: paymentMethods.TYPES });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
+// 支付方式 (新增/修改)
+// body: { id?, code, name, type: 'usdt'|'qr_pool'|'manual', aliases?: [], isActive?, minAmount?, maxAmount?, feeRate?, feeFixed?, instructions?, sortOrder? }
+app.post('/api/admin/payment_methods', adminAuth, requirePerm('settings.manage'), async (req, res) => {
     try {
-        const orderRes = await pool.query("SELECT * FROM orders WHERE order_id = $1", [order_id]);
-        const order = orderRes.rows[0];
+        const before = req.body.id ? (await pool.query('SELECT * FROM payment_methods WHERE id = $1', [req.body.id])).rows[0] : undefined;
+        const method = await paymentMethods.saveMethod(pool, req.body);
+        await logAudit(pool, adminActor(req), 'payment_method.save', 'payment_method', method.id, before, method);
+        await broadcastGlobalUpdate();
+        res.json({ success: true, method });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-        if (order && order.status === '待支付') {
-            // 校验金额是否一致 (允许 0.01 误差)
-            if (Math.abs(parseFloat(amount) - parseFloat(order.usdt_amount)) < 0.1) {
-                await pool.query("UPDATE orders SET status = '已支付' WHERE order_id = $1", [order_id]);
-                
-// 如果是充值订单，增加余额
-                if (order.product_name === '余额充值') {
-                    // 先给用户加余额 (这段逻辑原来在 handleRechargeSuccess 里，现在提取出来)
-                    await pool.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [parseFloat(amount), order.user_id]);
-                    
-                    // [修改] 关闭充值返利 (注释掉下面这行)
-                    // await handleReferralBonus(order.user_id, parseFloat(amount), '充值');
-                } else {
-                    // 如果是直接购买商品，触发消费返利 (保持不变，确保购买商品有返利)
-                    await handleReferralBonus(order.user_id, parseFloat(amount), '消费');
-                }
+// 删除支付方式 (已有订单使用过的改为停用)
+app.delete('/api/admin/payment_methods/:id', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const { method, deleted } = await paymentMethods.deleteMethod(pool, req.params.id);
+        await logAudit(pool, adminActor(req), deleted ? 'payment_method.delete' : 'payment_method.disable', 'payment_method', req.params.id, method);
+        await broadcastGlobalUpdate();
+        res.json({ success: true, deleted });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-            // 【新增】关键：通知前端刷新余额和订单状态
-            io.to(`user_${order.user_id}`).emit('order_update');
+// 收款码池 (查看)
+app.get('/api/admin/payment_methods/:id/qrcodes', adminAuth, requirePerm('order.qrcode'), async (req, res) => {
+    try {
+        res.json({ success: true, list: await paymentMethods.listQrCodes(pool, req.params.id), statuses: paymentMethods.QR_STATUS });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
 
-            sendTgNotify(`🤖 <b>USDT 自动回调成功</b>\n单号: ${order_id}\n金额: ${amount}`);
-            res.send('success');
-        } else {
-            res.send('amount_mismatch');
-        }
-    } else {
-            res.send('ok'); // 订单已处理
-        }
+// 收款码池 (批量上传，一次最多 20 张)  form: qrcodes (文件), label?
+app.post('/api/admin/payment_methods/:id/qrcodes', adminAuth, requirePerm('order.qrcode'), upload.array('qrcodes', 20), async (req, res) => {
+    if (!req.files || req.files.length === 0) return res.json({ success: false, msg: '请选择收款码图片' });
+    try {
+        const urls = [];
+        for (const file of req.files) urls.push(await uploadToCloud(file.buffer));
+        const added = await paymentMethods.addQrCodes(pool, {
+            methodId: req.params.id, urls, label: req.body.label, actor: `admin:${req.admin.username}`
+        });
+        await logAudit(pool, adminActor(req), 'payment_qr.upload', 'payment_method', req.params.id, undefined, { ids: added.map(q => q.id) });
+        res.json({ success: true, added });
     } catch (e) {
         console.error(e);
-        res.status(500).send('error');
+        res.json({ success: false, msg: e.message });
     }
 });
 
-// 通用辅助函数：处理返利 (充值或消费)
-async function handleReferralBonus(userId, amount, type) {
-    // type: '充值返利' 或 '消费返利'
-    const client = await pool.connect();
+// 收款码状态 (核实反馈后恢复 active，或 retired 停用)  body: { status }
+app.post('/api/admin/payment_qrcodes/:id/status', adminAuth, requirePerm('order.qrcode'), async (req, res) => {
     try {
-        await client.query('BEGIN');
-        
-        // 检查是否有邀请人
-        const uRes = await client.query("SELECT invited_by FROM users WHERE id = $1", [userId]);
-        const inviterId = uRes.rows[0]?.invited_by;
-
-        if (inviterId) {
-            const bonus = amount * 0.05; // 5% 返利
-            if (bonus > 0) {
-               // 给邀请人加钱
-                await client.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [bonus, inviterId]);
-                
-                // 记录资金明细
-                await logBalance(client, inviterId, '佣金返利', bonus, `好友 ${userId} ${type} ${amount} USDT`);
-
-                // 通知邀请人
-                const notifySid = `user_${inviterId}`;
-                const content = `💰 恭喜！您的好友完成了${type} (${amount} USDT)，您获得 ${bonus.toFixed(4)} USDT 返利！`;
-                const msgRes = await client.query("INSERT INTO chats (session_id, sender, content, msg_type) VALUES ($1, 'admin', $2, 'text') RETURNING created_at", [notifySid, content]);
-                
-                // 实时推送消息
-                io.to(notifySid).emit('new_message', { 
-                    session_id: notifySid, sender: 'admin', content: content, msg_type: 'text', created_at: msgRes.rows[0].created_at 
-                });
-
-                // [新增] 关键：通知前端刷新数据(余额、邀请列表等)，这样不需要轮询也能看到钱到账
-                io.to(notifySid).emit('order_update');
-            }
-        }
-
-        await client.query('COMMIT');
+        const { before, after } = await paymentMethods.setQrStatus(pool, req.params.id, req.body.status);
+        await logAudit(pool, adminActor(req), 'payment_qr.status', 'payment_qr_code', after.id, { status: before.status }, { status: after.status });
+        res.json({ success: true, qrcode: after });
     } catch (e) {
-        await client.query('ROLLBACK');
-        console.error("Referral Bonus Error:", e);
-    } finally {
-        client.release();
+        res.json({ success: false, msg: e.message });
     }
-}
+});
 
 // 资金明细接口 (替换审计日志) - 支持按用户ID筛选
-app.get('/api/admin/balance_logs', adminAuth, async (req, res) => {
+app.get('/api/admin/balance_logs', adminAuth, requirePerm('finance.view'), async (req, res) => {
     try {
         const { userId } = req.query;
         let query = `
@@ -1723,37 +3509,198 @@ app.get('/api/admin/balance_logs', adminAuth, async (req, res) => {
     }
 });
 
-// 管理员强制取消订单 (设置状态为'已取消'，触发前端警告)
-app.post('/api/admin/order/cancel', adminAuth, async (req, res) => {
-    const { orderId } = req.body;
+// 发起退款申请 (全额或部分，默认退全部可退金额)，推送到 TG 群审批
+app.post('/api/admin/order/refund', adminAuth, requirePerm('order.refund'), async (req, res) => {
+    const { orderId, amount, reason } = req.body;
+    const client = await pool.connect();
     try {
-        const client = await pool.connect();
         await client.query('BEGIN');
-        
-        const orderRes = await client.query("SELECT * FROM orders WHERE order_id = $1", [orderId]);
-        const order = orderRes.rows[0];
+        const { refund, order } = await createRefundRequest(client, orderId, amount, reason, `admin:${req.admin.username}`);
+        await logAudit(client, adminActor(req), 'refund.request', 'order', orderId, undefined, { refund_id: refund.id, amount: refund.amount, reason });
+        await client.query('COMMIT');
+
+        sendRefundApproval(refund, order);
+        notifyAdminUpdate();
+        res.json({ success: true, refund });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        res.json({ success: false, msg: e.message });
+    } finally {
+        client.release();
+    }
+});
+
+// 后台审批退款 (与 TG 按钮等效)
+app.post('/api/admin/refund/:id/:decision', adminAuth, requirePerm('refund.approve'), async (req, res) => {
+    const { decision } = req.params;
+    if (decision !== 'approve' && decision !== 'reject') return res.status(404).json({ success: false });
+    try {
+        await processRefundRequest(req.params.id, decision === 'approve', `admin:${req.admin.username}`, adminActor(req));
+        res.json({ success: true });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 余额对账报告
+app.get('/api/admin/ledger/reconcile', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await ledger.reconcile(pool)) });
+    } catch (e) {
+        res.status(500).json({ success: false, msg: e.message });
+    }
+});
+
+// 登记提现打款凭证 (交易哈希 txHash 和/或 截图文件)
+app.post('/api/admin/withdraw/:id/payout', adminAuth, requirePerm('withdraw.approve'), upload.single('file'), async (req, res) => {
+    try {
+        const txHash = (req.body.txHash || '').trim().slice(0, 200) || null;
+        const proofUrl = req.file ? await uploadToCloud(req.file.buffer) : null;
+        if (!txHash && !proofUrl) return res.json({ success: false, msg: '请填写交易哈希或上传打款截图' });
+        const w = await recordWithdrawalPayout(req.params.id, { txHash, proofUrl }, adminActor(req));
+        res.json({ success: true, payoutTxHash: w.payout_tx_hash, payoutProofUrl: w.payout_proof_url, paidAt: w.paid_at });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 提现审批 (decision: approve / reject)
+app.post('/api/admin/withdraw/:id/:decision', adminAuth, requirePerm('withdraw.approve'), async (req, res) => {
+    const { id, decision } = req.params;
+    if (!['approve', 'reject'].includes(decision)) return res.json({ success: false, msg: '参数错误' });
+    try {
+        const result = await processWithdrawal(id, decision === 'approve', { id: `admin:${req.admin.id}`, name: req.admin.username }, adminActor(req));
+        res.json({ success: true, status: result.withdrawal.status, done: result.done, remaining: result.remaining });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+// 提现策略 (查看 / 修改)
+app.get('/api/admin/withdraw_policy', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        res.json({ success: true, policy: await withdrawalPolicy.getPolicy(pool), fields: withdrawalPolicy.FIELDS });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+app.post('/api/admin/withdraw_policy', adminAuth, requirePerm('settings.manage'), async (req, res) => {
+    try {
+        const before = await withdrawalPolicy.getPolicy(pool);
+        const after = await withdrawalPolicy.setPolicy(pool, req.body);
+        await logAudit(pool, adminActor(req), 'withdraw_policy.update', 'settings', 'withdraw_policy', before, after);
+        res.json({ success: true, policy: after });
+    } catch (e) {
+        res.json({ success: false, msg: e.message });
+    }
+});
+
+app.get('/api/admin/refunds', adminAuth, requirePerm('finance.view'), async (req, res) => {
+    try {
+        const { status, orderId } = req.query;
+        const where = [];
+        const params = [];
+        if (status) {
+            params.push(status);
+            where.push(`status = $${params.length}`);
+        }
+        if (orderId) {
+            params.push(orderId);
+            where.push(`order_id = $${params.length}`);
+        }
+        const result = await pool.query(
+            `SELECT * FROM refunds ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC LIMIT 200`,
+            params
+        );
+        res.json(result.rows);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json([]);
+    }
+});
+
+// 订单状态流转历史
+app.get('/api/admin/order/:id/events', adminAuth, requirePerm('order.view'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM order_events WHERE order_id = $1 ORDER BY created_at ASC, id ASC', [req.params.id]);
+        res.json({ success: true, list: result.rows });
+    } catch(e) { res.status(500).json({ success: false, list: [] }); }
+});
 
-        if (!order) throw new Error('订单不存在');
+// 审计日志查询 - 支持按操作人、对象、动作、时间范围筛选
+app.get('/api/admin/audit_logs', adminAuth, requirePerm('audit.view'), async (req, res) => {
+    try {
+        const { actor, target, action, from, to } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+        const where = [];
+        const params = [];
+        if (actor) {
+            params.push(actor);
+            where.push(`(actor_id = $${params.length} OR actor_name = $${params.length})`);
+        }
+        if (target) {
+            params.push(target);
+            where.push(`target_id = $${params.length}`);
+        }
+        if (action) {
+            params.push(action + '%');
+            where.push(`action LIKE $${params.length}`);
+        }
+        if (from) {
+            params.push(from);
+            where.push(`created_at >= $${params.length}`);
+        }
+        if (to) {
+            params.push(to);
+            where.push(`created_at <= $${params.length}`);
+        }
 
-        // 更新状态为 已取消
-        await client.query("UPDATE orders SET status = '已取消' WHERE order_id = $1", [orderId]);
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const totalRes = await pool.query(`SELECT COUNT(*) FROM admin_audit_logs ${whereSql}`, params);
+        params.push(pageSize, (page - 1) * pageSize);
+        const result = await pool.query(
+            `SELECT * FROM admin_audit_logs ${whereSql} ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+        res.json({ success: true, list: result.rows, total: parseInt(totalRes.rows[0].count), page, pageSize });
+    } catch(e) {
+        console.error(e);
+        res.status(500).json({ success: false, list: [] });
+    }
+});
 
-        // 如果该订单使用了余额支付，需要退款
-        // 注意：这里只退还余额支付的部分，如果usdt_amount全额支付则退0（逻辑视具体需求定，这里假设只恢复库存，不自动退款，需人工退）
-        // 简单起见，这里只回滚库存
-        if (order.product_name !== '余额充值' && order.product_name !== '购物车商品') {
-            await client.query("UPDATE products SET stock = stock + 1 WHERE name = $1", [order.product_name]);
+// 管理员强制取消订单 (设置状态为'已取消'，触发前端警告)
+app.post('/api/admin/order/cancel', adminAuth, requirePerm('order.cancel'), async (req, res) => {
+    const { orderId } = req.body;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // 更新状态为 已取消：状态机会恢复库存并自动退回余额抵扣部分
+        const actorLabel = `admin:${req.admin.username}`;
+        const result = await transitionOrder(client, orderId, 'cancel', { actor: actorLabel, note: '后台取消' });
+        await logAudit(client, adminActor(req), 'order.cancel', 'order', orderId, { status: result.from }, { status: result.to });
+
+        // 外部 USDT/CNY 已付部分：生成退款申请，需在 TG 群审批
+        let refundRequest = null;
+        if (getRefundable(result.order).external > 0) {
+            refundRequest = await createRefundRequest(client, orderId, getRefundable(result.order).external, '订单取消，退回外部实付金额', actorLabel);
         }
 
         await client.query('COMMIT');
         
         // 【新增】告诉前端刷新订单状态（变更为已取消）
-        io.to(`user_${order.user_id}`).emit('order_update');
+        await afterOrderTransition(result);
+        if (refundRequest) sendRefundApproval(refundRequest.refund, refundRequest.order);
 
-        client.release();
         res.json({ success: true });
     } catch (e) {
+        await client.query('ROLLBACK');
         res.json({ success: false, msg: e.message });
+    } finally {
+        client.release();
     }
 });
 
@@ -1763,10 +3710,11 @@ app.post('/api/admin/order/cancel', adminAuth, async (req, res) => {
 // ==========================================
 const startServer = async () => {
     try {
-        console.log("⏳ 1. 正在检查/创建数据库表结构...");
-        // 等待数据库完全准备好 (IF NOT EXISTS 会确保如果表存在就不重复建)
-        await initDB(); 
-        console.log("✅ 数据库表结构准备就绪");
+        console.log("⏳ 1. 正在执行数据库迁移...");
+        // 等待数据库完全准备好 (迁移失败直接退出，不带着旧表结构启动)
+        const applied = await migrator.up();
+        console.log(applied.length > 0 ? `✅ 已执行 ${applied.length} 个迁移` : "✅ 数据库表结构已是最新");
+        await seedDB();
 
         console.log("⏳ 2. 正在启动 Telegram 机器人...");
         // 数据库好了，手动启动机器人
@@ -1779,6 +3727,15 @@ const startServer = async () => {
             console.log(`🚀 Server running on port ${PORT}`);
         }); // <--- 注意这里：必须有 }); 这三个符号
 
+        if (chainWatcher) {
+            chainWatcher.start(CHAIN_WATCHER_INTERVAL * 1000);
+            console.log(`⛓️ 链上收款监听已启动 (${chainWatcher.provider.name}, 每 ${CHAIN_WATCHER_INTERVAL} 秒)`);
+        }
+        if (fxUpdater) {
+            fxUpdater.start(FX_UPDATE_INTERVAL * 60 * 1000);
+            console.log(`💱 汇率自动更新已启动 (${fxUpdater.provider.name}, 每 ${FX_UPDATE_INTERVAL} 分钟)`);
+        }
+
     } catch (error) {
         console.error("❌ 启动失败，请检查数据库连接:", error);
         process.exit(1); 